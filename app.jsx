@@ -17,14 +17,38 @@ const ROUTES = {
   uploadsInit: "/uploads/init",
   uploadsPut: "/uploads/put",
   uploadsList: "/uploads/list",
+  uploadsDelete: "/uploads/delete",
+  uploadsUpdate: "/uploads/update", // move to another file set and/or rename
+  // chunked (resumable) uploads for large files, keyed by job_id + file_set
+  uploadsChunkInit: "/uploads/multipart/init",
+  uploadsChunkPart: "/uploads/multipart/part",
+  uploadsChunkComplete: "/uploads/multipart/complete",
+  uploadsChunkAbort: "/uploads/multipart/abort",
 
   jobsSubmit: "/jobs/submit",
   jobsStatus: "/jobs/status",
-  jobsDownload: "/jobs/download",
+  jobsEvents: "/jobs/events", // GET ?job_id= text/event-stream of "status" frames
+  jobsList: "/jobs/list",
+  jobTypes: "/jobs/types",
+  jobsDownload: "/jobs/download", // GET ?job_id=[&version=] latest version unless one is given
+  jobsVersions: "/jobs/versions", // GET ?job_id= { versions:[{ version, created_at, comments }] } oldest first
+  jobsRevise: "/jobs/revise",     // POST { data:{ job_id, comments } } -> back to "generating" for the next version
 
   adminApprove: "/admin/approve",
+  adminRetryGeneration: "/admin/retry-generation",
+  adminReject: "/admin/reject",
+  adminRequestChanges: "/admin/request-changes",
   adminJobs: "/admin/jobs",
+  adminJob: "/admin/job",   // one job: inputs, files, history
+  adminFile: "/admin/file", // download one uploaded file
+  usage: "/usage", // GET { period_end, quotas:{ reports:{ used, limit }, chat_messages:{ used, limit } } }
+  billingPlans: "/billing/plans",       // GET { plans:[{ id, label, price_label, features }], addons:[{ id, label, price_label, description }] }
+  billingCheckout: "/billing/checkout", // POST { data:{ plan?, addons?, return_url } } -> { url } (hosted checkout)
+  billingUpgrade: "/billing/upgrade",   // POST { data:{ plan?, addons? } } -> { access } or { url } when payment is needed
+
   chat: "/chat",
+  chatThreads: "/chat/threads",             // GET list, POST upsert { data:{ thread } }
+  chatThreadsDelete: "/chat/threads/delete", // POST { data:{ id } }
 };
 
 const JOB_TYPES = {
@@ -37,6 +61,10 @@ const LS_KEYS = {
   session: "st_session_v4", // { email, access, app_url, verified_at, session_token }
   sessionToken: "st_session_token_v1", // session token from backend
   autoDownload: "st_auto_download_v1",
+  notify: "st_notify_v1", // "true" = desktop notifications for job updates
+  returnTo: "st_return_to_v1", // path+search to land on after magic-link login
+  chatSync: "st_chat_sync_v1", // "true" = mirror Advisor threads to the backend
+  chatDeletes: "st_chat_deletes_v1", // thread ids deleted here that the backend still has
 };
 
 /* =========================
@@ -59,6 +87,161 @@ function loadAutoDownload() {
 }
 function saveAutoDownload(v) { try { localStorage.setItem(LS_KEYS.autoDownload, String(!!v)); } catch {} }
 
+function loadNotify() { try { return localStorage.getItem(LS_KEYS.notify) === "true"; } catch { return false; } }
+function saveNotify(v) { try { localStorage.setItem(LS_KEYS.notify, String(!!v)); } catch {} }
+
+function loadChatSync() { try { return localStorage.getItem(LS_KEYS.chatSync) === "true"; } catch { return false; } }
+function saveChatSync(v) { try { localStorage.setItem(LS_KEYS.chatSync, String(!!v)); } catch {} }
+function loadChatDeletes() { try { return safeJsonParse(localStorage.getItem(LS_KEYS.chatDeletes) || "") || []; } catch { return []; } }
+function saveChatDeletes(ids) { try { localStorage.setItem(LS_KEYS.chatDeletes, JSON.stringify(ids)); } catch {} }
+
+// localStorage (not sessionStorage): the magic link usually opens in a new tab
+function saveReturnTo(path) { try { localStorage.setItem(LS_KEYS.returnTo, path); } catch {} }
+function clearReturnTo() { try { localStorage.removeItem(LS_KEYS.returnTo); } catch {} }
+function consumeReturnTo() {
+  try {
+    const v = localStorage.getItem(LS_KEYS.returnTo);
+    localStorage.removeItem(LS_KEYS.returnTo);
+    return v && v.startsWith("/") && !v.startsWith("//") ? v : null;
+  } catch { return null; }
+}
+
+// IndexedDB: state that must survive a reload and is too big / too structured for localStorage
+const IDB_NAME = "strategythrust";
+const IDB_VERSION = 2;
+const IDB_STORES = {
+  uploads: "key", // pending chunked uploads: { key, job_id, file_set, filename, size, upload_id, chunk_size, parts, updated_at }
+  chatThreads: "id", // Advisor threads: { id, email, title, msgs, created_at, updated_at }
+};
+
+let idbPromise = null;
+function idbOpen() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.entries(IDB_STORES).forEach(([name, keyPath]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((e) => { idbPromise = null; throw e; });
+  }
+  return idbPromise;
+}
+async function idbRun(store, mode, fn) {
+  try {
+    const db = await idbOpen();
+    return await new Promise((resolve, reject) => {
+      const req = fn(db.transaction(store, mode).objectStore(store));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  } catch { return null; }
+}
+function idbGet(store, key) { return idbRun(store, "readonly", s => s.get(key)); }
+function idbAll(store) { return idbRun(store, "readonly", s => s.getAll()).then(x => x || []); }
+function idbPut(store, value) { return idbRun(store, "readwrite", s => s.put(value)); }
+function idbDelete(store, key) { return idbRun(store, "readwrite", s => s.delete(key)); }
+
+/* =========================
+Router (history API; _redirects serves index.html for every path)
+========================= */
+const ROUTE_TABLE = [
+  { name: "verify", pattern: "/auth/verify" },
+  { name: "jobs", pattern: "/jobs" },
+  { name: "job", pattern: "/jobs/:id" },
+  { name: "admin", pattern: "/admin" },
+  { name: "adminJob", pattern: "/admin/jobs/:id" },
+  { name: "plan", pattern: "/plan" },
+];
+
+function matchRoute(pathname) {
+  const parts = String(pathname || "/").replace(/\/+$/, "").split("/").filter(Boolean);
+  for (const r of ROUTE_TABLE) {
+    const pat = r.pattern.split("/").filter(Boolean);
+    if (pat.length !== parts.length) continue;
+    const params = {};
+    const hit = pat.every((seg, i) => {
+      if (seg.startsWith(":")) { params[seg.slice(1)] = decodeURIComponent(parts[i]); return true; }
+      return seg === parts[i];
+    });
+    if (hit) return { name: r.name, params };
+  }
+  return { name: null, params: {} };
+}
+
+const NAV_EVENT = "st:navigate";
+
+function navigate(to, { replace = false } = {}) {
+  const cur = window.location.pathname + window.location.search;
+  if (to === cur) return;
+  if (replace) window.history.replaceState({}, document.title, to);
+  else window.history.pushState({}, document.title, to);
+  window.dispatchEvent(new Event(NAV_EVENT));
+}
+
+function readLocation() {
+  const { pathname, search } = window.location;
+  return { pathname, search, ...matchRoute(pathname), query: new URLSearchParams(search) };
+}
+
+function useRoute() {
+  const [loc, setLoc] = useState(readLocation);
+  useEffect(() => {
+    const onChange = () => setLoc(readLocation());
+    window.addEventListener("popstate", onChange);
+    window.addEventListener(NAV_EVENT, onChange);
+    return () => {
+      window.removeEventListener("popstate", onChange);
+      window.removeEventListener(NAV_EVENT, onChange);
+    };
+  }, []);
+  return loc;
+}
+
+// plain <a href> so links can be copied / opened in a new tab; left-click stays in-app
+const Link = ({ to, className = "", title, children }) => (
+  <a
+    href={to}
+    title={title}
+    className={className}
+    onClick={(e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+    }}
+  >
+    {children}
+  </a>
+);
+
+/* =========================
+Session guard
+A 401/403 on an authenticated call re-checks /access once (concurrent failures share the
+check). Only when /access refuses the token too is the session gone: SESSION_EVENT asks
+the App for a re-login, without unmounting anything, so in-progress work survives.
+========================= */
+const SESSION_EVENT = "st:session";
+const SESSION_WARN_MS = 5 * 60 * 1000; // warn this long before session_ttl_seconds runs out
+const ACCESS_REFRESH_MS = 5 * 60 * 1000; // entitlements re-read from /access while the tab is visible
+const ACCESS_FOCUS_GAP_MS = 30 * 1000;   // ...and on focus, at most this often
+
+let sessionCheck = null;
+function emitSession(detail) { window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail })); }
+
+function noteAuthFailure(token, status) {
+  if (!token || (status !== 401 && status !== 403) || sessionCheck) return;
+  sessionCheck = (async () => {
+    const r = await apiFetch(ROUTES.access, { method: "GET", token, skipAuthCheck: true });
+    // a 403 with a valid session is a plain permission denial: just refresh entitlements
+    if (r.ok) emitSession({ type: "access", access: r.data?.access || r.data });
+    else if (r.status === 401 || r.status === 403) emitSession({ type: "expired", status });
+  })().finally(() => { sessionCheck = null; });
+}
+
 /* =========================
 API Helper
 ========================= */
@@ -69,9 +252,14 @@ async function apiFetch(path, {
   timeoutMs = 30000,
   token = null,          // ✅ will be SESSION token (Bearer)
   isFormData = false,
+  skipAuthCheck = false, // the session guard's own /access call
+  signal = null,         // caller's cancel; resolves error "canceled" instead of "timeout"
 } = {}) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  const onAbort = () => ctrl.abort();
+  if (signal?.aborted) ctrl.abort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
 
   try {
     const finalHeaders = {
@@ -93,13 +281,213 @@ async function apiFetch(path, {
     const payload = isJson ? await res.json().catch(() => null) : await res.text().catch(() => "");
 
     if (!res.ok) {
+      if (!skipAuthCheck) noteAuthFailure(token, res.status);
       return { ok: false, status: res.status, error: payload?.error || payload || `HTTP ${res.status}`, raw: payload };
     }
     return { ok: true, status: res.status, data: payload, headers: res.headers };
   } catch (e) {
-    return { ok: false, status: 0, error: e?.name === "AbortError" ? "timeout" : (e?.message || String(e)) };
+    if (e?.name === "AbortError") return { ok: false, status: 0, error: signal?.aborted ? "canceled" : "timeout" };
+    return { ok: false, status: 0, error: e?.message || String(e) };
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// XHR instead of fetch: fetch has no upload progress. Only a stalled upload times out,
+// so big decks on slow links aren't cut off at a fixed deadline.
+function apiUpload(path, {
+  body,
+  headers = {},
+  token = null,
+  onProgress,
+  signal,
+  stallMs = 60000,
+} = {}) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve({ ok: false, status: 0, error: "canceled" });
+
+    const xhr = new XMLHttpRequest();
+    let stall = null;
+    let abortReason = null;
+    const arm = () => {
+      clearTimeout(stall);
+      stall = setTimeout(() => { abortReason = "timeout"; xhr.abort(); }, stallMs);
+    };
+    const onAbort = () => { abortReason = "canceled"; xhr.abort(); };
+    const done = (r) => {
+      clearTimeout(stall);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(r);
+    };
+
+    xhr.open("POST", `${API_BASE}${path}`);
+    xhr.withCredentials = true;
+    Object.entries(headers).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+    if (token) xhr.setRequestHeader("authorization", `Bearer ${token}`);
+
+    xhr.upload.onprogress = (e) => {
+      arm();
+      if (e.lengthComputable && e.total) onProgress?.(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      const ct = xhr.getResponseHeader("content-type") || "";
+      const payload = ct.toLowerCase().includes("application/json") ? safeJsonParse(xhr.responseText) : xhr.responseText;
+      if (xhr.status < 200 || xhr.status >= 300) {
+        noteAuthFailure(token, xhr.status);
+        return done({ ok: false, status: xhr.status, error: payload?.error || payload || `HTTP ${xhr.status}`, raw: payload });
+      }
+      done({ ok: true, status: xhr.status, data: payload });
+    };
+    xhr.onerror = () => done({ ok: false, status: 0, error: "network error" });
+    xhr.onabort = () => done({ ok: false, status: 0, error: abortReason || "aborted" });
+
+    signal?.addEventListener("abort", onAbort);
+    arm();
+    xhr.send(body);
+  });
+}
+
+// Server-Sent Events over fetch (EventSource can't send an Authorization header).
+// Calls onEvent({ event, data }) per SSE frame; "data" is JSON-decoded when possible.
+async function readSSE(res, onEvent, onBytes) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  const flush = (frame) => {
+    let event = "message";
+    const data = [];
+    frame.split(/\r?\n/).forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    });
+    if (!data.length) return;
+    const raw = data.join("\n");
+    onEvent({ event, data: raw === "[DONE]" ? raw : (safeJsonParse(raw) ?? raw) });
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onBytes?.();
+    buf += decoder.decode(value, { stream: true });
+    const frames = buf.split(/\r?\n\r?\n/);
+    buf = frames.pop();
+    frames.forEach(flush);
+  }
+  if (buf.trim()) flush(buf);
+}
+
+// POST that prefers a text/event-stream answer and falls back to plain JSON.
+// Resolves { ok, streamed, data? } like apiFetch; only a stalled stream times out.
+async function apiStream(path, {
+  method = "POST",
+  body,
+  token = null,
+  signal,
+  onEvent,
+  stallMs = 45000,
+} = {}) {
+  const ctrl = new AbortController();
+  let stalled = false;
+  let t = null;
+  const arm = () => { clearTimeout(t); t = setTimeout(() => { stalled = true; ctrl.abort(); }, stallMs); };
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    const headers = { "content-type": "application/json", accept: "text/event-stream, application/json" };
+    if (token) headers["authorization"] = `Bearer ${token}`;
+    arm();
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: ctrl.signal,
+      credentials: "include",
+    });
+
+    const ct = (res.headers.get("content-type") || "").toLowerCase();
+    if (res.ok && ct.includes("text/event-stream") && res.body) {
+      await readSSE(res, onEvent, arm);
+      return { ok: true, status: res.status, streamed: true };
+    }
+
+    const payload = ct.includes("application/json") ? await res.json().catch(() => null) : await res.text().catch(() => "");
+    if (!res.ok) {
+      noteAuthFailure(token, res.status);
+      return { ok: false, status: res.status, error: payload?.error || payload || `HTTP ${res.status}`, raw: payload };
+    }
+    return { ok: true, status: res.status, streamed: false, data: payload };
+  } catch (e) {
+    if (e?.name === "AbortError") return { ok: false, status: 0, error: stalled ? "timeout" : "aborted" };
+    return { ok: false, status: 0, error: e?.message || String(e) };
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Content-Disposition: attachment; filename="a b.docx"; filename*=UTF-8''a%20b.docx
+// (cross-origin the backend must list it in Access-Control-Expose-Headers)
+function filenameFromDisposition(header) {
+  if (!header) return null;
+  const clean = (v) => v.trim().replace(/^"|"$/g, "").replace(/[\\/\u0000-\u001f]+/g, "_") || null;
+  const star = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(header);
+  if (star) {
+    try { return clean(decodeURIComponent(star[1])); } catch {}
+  }
+  const plain = /filename\s*=\s*("[^"]*"|[^;]+)/i.exec(header);
+  return plain ? clean(plain[1]) : null;
+}
+
+// GET a file with the Authorization header (never a token in the URL) and stream it into a Blob.
+// Resolves { ok, blob, filename } or { ok:false, status, error } like apiFetch; only a stall times out.
+async function apiDownload(path, { token = null, signal, onProgress, stallMs = 60000 } = {}) {
+  const ctrl = new AbortController();
+  let stalled = false;
+  let t = null;
+  const arm = () => { clearTimeout(t); t = setTimeout(() => { stalled = true; ctrl.abort(); }, stallMs); };
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    const headers = {};
+    if (token) headers["authorization"] = `Bearer ${token}`;
+    arm();
+    const res = await fetch(`${API_BASE}${path}`, { headers, signal: ctrl.signal, credentials: "include" });
+
+    if (!res.ok) {
+      const ct = (res.headers.get("content-type") || "").toLowerCase();
+      const payload = ct.includes("application/json") ? await res.json().catch(() => null) : await res.text().catch(() => "");
+      noteAuthFailure(token, res.status);
+      return { ok: false, status: res.status, error: payload?.error || payload || `HTTP ${res.status}`, raw: payload };
+    }
+
+    const total = Number(res.headers.get("content-length")) || 0;
+    const type = res.headers.get("content-type") || "application/octet-stream";
+    const filename = filenameFromDisposition(res.headers.get("content-disposition"));
+    const chunks = [];
+    if (res.body) {
+      const reader = res.body.getReader();
+      let got = 0;
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        arm();
+        chunks.push(value);
+        got += value.length;
+        onProgress?.(total ? got / total : null);
+      }
+    } else {
+      chunks.push(await res.blob());
+    }
+    return { ok: true, status: res.status, blob: new Blob(chunks, { type }), filename };
+  } catch (e) {
+    if (e?.name === "AbortError") return { ok: false, status: 0, error: stalled ? "timeout" : "canceled" };
+    return { ok: false, status: 0, error: e?.message || String(e) };
   } finally {
     clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
@@ -109,6 +497,131 @@ async function requestMagicLink(email) { return apiFetch(ROUTES.requestLink, { m
 async function verifyMagicToken(magicToken) { return apiFetch(`${ROUTES.verify}?token=${encodeURIComponent(magicToken)}`, { method: "GET" }); }
 async function accessCheck(sessionToken) { return apiFetch(ROUTES.access, { method: "GET", token: sessionToken }); }
 
+/* =========================
+Browser helpers (file saving, lazy CDN scripts)
+========================= */
+// heavy libraries load on first use instead of with the page
+const CDN = {
+  docx: "https://unpkg.com/docx@9/dist/index.iife.js",
+  jszip: "https://unpkg.com/jszip@3/dist/jszip.min.js",
+  docxPreview: "https://unpkg.com/docx-preview@0.3.7/dist/docx-preview.min.js",
+};
+
+const scriptLoads = {};
+function loadScript(src) {
+  if (!scriptLoads[src]) {
+    scriptLoads[src] = new Promise((resolve, reject) => {
+      const el = document.createElement("script");
+      el.src = src;
+      el.crossOrigin = "anonymous";
+      el.onload = () => resolve();
+      el.onerror = () => { delete scriptLoads[src]; reject(new Error(`Could not load ${src}`)); };
+      document.head.appendChild(el);
+    });
+  }
+  return scriptLoads[src];
+}
+
+// docx (writer) and docx-preview (renderer) both install themselves as window.docx: take what
+// the script defines and put the previous value back. Loads run one at a time so they can't interleave.
+// Assign rather than delete: docx's bundle declares a top-level `var docx`, which strict code can't delete.
+const globalLoads = {};
+let globalQueue = Promise.resolve();
+function loadGlobal(src, name) {
+  if (!globalLoads[src]) {
+    const load = globalQueue.then(async () => {
+      const before = window[name];
+      await loadScript(src);
+      const lib = window[name];
+      window[name] = before;
+      return lib;
+    });
+    globalLoads[src] = load.catch((e) => { delete globalLoads[src]; throw e; });
+    globalQueue = load.catch(() => {});
+  }
+  return globalLoads[src];
+}
+
+// docx-preview reads JSZip from the global scope when it initialises
+async function loadDocxPreview() {
+  await loadScript(CDN.jszip);
+  return loadGlobal(CDN.docxPreview, "docx");
+}
+
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFilename(s, fallback = "export") {
+  return String(s || "").replace(/[\\/:*?"<>|\u0000-\u001f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 80) || fallback;
+}
+
+/* =========================
+Tab coordination (BroadcastChannel + Web Locks) and desktop notifications
+Per open job one tab holds the lock "st-job-<id>": it watches the status, downloads and
+notifies, and relays every frame to the other tabs, which only update their screens.
+========================= */
+const tabChannel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("strategythrust") : null;
+
+// { type: "job-status", jobId, data } | { type: "logout" }
+function broadcast(msg) { try { tabChannel?.postMessage(msg); } catch {} }
+function onBroadcast(fn) {
+  if (!tabChannel) return () => {};
+  const h = (e) => fn(e.data || {});
+  tabChannel.addEventListener("message", h);
+  return () => tabChannel.removeEventListener("message", h);
+}
+
+// start() runs while this tab holds the lock and returns its cleanup; without Web Locks every tab leads
+function whileLeader(name, start) {
+  if (!navigator.locks) return start();
+  const ctrl = new AbortController();
+  let release = null;
+  let stop = null;
+  navigator.locks.request(name, { signal: ctrl.signal }, () => new Promise(res => {
+    release = res;
+    stop = start();
+  })).catch(() => {}); // AbortError: we stopped waiting
+  return () => {
+    ctrl.abort();
+    stop?.();
+    release?.();
+  };
+}
+
+const NOTIFY_STATUSES = {
+  delivered: "is ready to download",
+  failed: "failed to generate",
+  changes_requested: "needs changes",
+};
+
+function notificationsBlocked() {
+  return typeof Notification === "undefined" || Notification.permission === "denied";
+}
+
+// only for a tab nobody is looking at; a visible page shows the change itself
+function notifyJob({ jobId, status, label }) {
+  if (!NOTIFY_STATUSES[status] || !loadNotify()) return;
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  if (document.visibilityState === "visible") return;
+  const n = new Notification(`${label || "Your job"} ${NOTIFY_STATUSES[status]}`, {
+    body: `Job ${jobId}`,
+    tag: `${jobId}:${status}`, // one notification per change, however many tabs see it
+  });
+  n.onclick = () => {
+    window.focus();
+    navigate(`/jobs/${encodeURIComponent(jobId)}`);
+    n.close();
+  };
+}
+
 /* =========================
 UI Helpers
 ========================= */
@@ -145,6 +658,30 @@ const Icon = ({ name, size = 22, className = "" }) => {
         <path d="M21 12.5l-8.5 8.5a5 5 0 0 1-7.1-7.1L14 5.3a3.5 3.5 0 0 1 5 5L10.4 18a2 2 0 1 1-2.8-2.8l8.1-8.1"/>
       </g>
     ),
+    link: (
+      <g {...strokeProps}>
+        <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+        <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+      </g>
+    ),
+    lock: (
+      <g {...strokeProps}>
+        <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+        <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+      </g>
+    ),
+    refresh: (
+      <g {...strokeProps}>
+        <polyline points="23 4 23 10 17 10"/>
+        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+      </g>
+    ),
+    bell: (
+      <g {...strokeProps}>
+        <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9"/>
+        <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
+      </g>
+    ),
     list: (
       <g {...strokeProps}>
         <line x1="8" y1="6" x2="21" y2="6"/>
@@ -154,6 +691,12 @@ const Icon = ({ name, size = 22, className = "" }) => {
         <circle cx="4" cy="12" r="1" />
         <circle cx="4" cy="18" r="1" />
       </g>
+    ),
+    eye: (
+      <g {...strokeProps}>
+        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+        <circle cx="12" cy="12" r="3"/>
+      </g>
     )
   };
   return (
@@ -222,6 +765,53 @@ function featureGate(access) {
   };
 }
 
+// what each gated feature is called and what unlocks it
+const FEATURES = {
+  app_access: { label: "App access", upgrade: "Start or renew a subscription to create deliverables." },
+  strategic_master_plan: { label: "Strategic Master Plan", upgrade: "Included in the Enterprise tier." },
+  language_addon: { label: "Language add-on", upgrade: "Add the language add-on to receive deliverables in other languages." },
+  advisor_chatbot: { label: "Advisor Chatbot", upgrade: "Included in Pro and above." },
+  is_admin: { label: "Admin console", upgrade: "Reserved for StrategyThrust reviewers." },
+};
+
+// the one entitlement check; admins get every feature, but "is_admin" itself is never implied
+function hasFeature(g, feature) {
+  if (feature === "is_admin") return g.is_admin;
+  return g.is_admin || !!g[feature];
+}
+
+const UpgradeNote = ({ feature, access, className = "" }) => {
+  const f = FEATURES[feature] || { label: feature, upgrade: "" };
+  return (
+    <div className={`flex items-start gap-2 text-xs text-yellow-200 ${className}`}>
+      <Icon name="lock" size={14} className="mt-0.5 shrink-0"/>
+      <div>
+        {f.label} isn't included in your tier ({featureGate(access).tier}). {f.upgrade}{" "}
+        <Link to="/plan" className="underline font-bold">See plans</Link>
+      </div>
+    </div>
+  );
+};
+
+// children when the feature is on (or none is required); otherwise fallback ("upgrade" = the standard explanation)
+const FeatureGate = ({ access, feature, fallback = null, children }) => {
+  if (!feature || hasFeature(featureGate(access), feature)) return <>{children}</>;
+  if (fallback === "upgrade") return <UpgradeNote feature={feature} access={access} />;
+  return fallback;
+};
+
+// human-readable differences between two /access snapshots ([] = nothing the user would notice)
+function diffEntitlements(before, after) {
+  const a = featureGate(before);
+  const b = featureGate(after);
+  const out = [];
+  if (a.tier !== b.tier) out.push(`Tier changed: ${a.tier} → ${b.tier}`);
+  Object.entries(FEATURES).forEach(([k, f]) => {
+    if (a[k] !== b[k]) out.push(`${f.label} ${b[k] ? "enabled" : "removed"}`);
+  });
+  return out;
+}
+
 function StatusPill({ status }) {
   const map = {
     draft: "bg-slate-700 text-slate-200",
@@ -229,6 +819,8 @@ function StatusPill({ status }) {
     generating: "bg-indigo-600/30 text-indigo-200 border border-indigo-500/20",
     delivered: "bg-emerald-600/30 text-emerald-200 border border-emerald-500/20",
     failed: "bg-red-600/30 text-red-200 border border-red-500/20",
+    rejected: "bg-rose-700/30 text-rose-200 border border-rose-500/30",
+    changes_requested: "bg-orange-600/30 text-orange-200 border border-orange-500/20",
   };
   const cls = map[status] || "bg-slate-700 text-slate-200";
   return <span className={`text-[10px] px-2 py-1 rounded-full ${cls}`}>{String(status || "unknown")}</span>;
@@ -236,13 +828,188 @@ function StatusPill({ status }) {
 
 const AccessBadge = ({ access }) => {
   const g = featureGate(access);
-  const ok = g.app_access || g.is_admin;
+  const ok = hasFeature(g, "app_access");
   return (
-    <div className={`px-3 py-1 rounded-full text-[10px] border ${ok ? "border-emerald-500/40 text-emerald-300" : "border-red-500/40 text-red-300"}`}>
+    <Link
+      to="/plan"
+      title="Plan & billing"
+      className={`px-3 py-1 rounded-full text-[10px] border hover:bg-white/5 ${ok ? "border-emerald-500/40 text-emerald-300" : "border-red-500/40 text-red-300"}`}
+    >
       {ok ? `ACCESS GRANTED • Tier: ${g.tier}${g.is_admin ? " • ADMIN" : ""}` : "NO ACTIVE SUBSCRIPTION"}
-    </div>
+    </Link>
+  );
+};
+/* =========================
+Job type catalogue + input schemas
+GET /jobs/types ({ types:[type] }) is the source of truth; the built-ins below are the fallback
+for backends without it. New deliverables only need a catalogue entry, no frontend release.
+type:  { id, label, description, requires:{ feature, tiers:[] }, input_schema:[field], file_sets:{ required, optional } }
+field: { name, label, type: text|url|textarea|select|company_or_url, required, placeholder, options:[{value,label}], maxLength }
+========================= */
+const COMMON_INPUT_FIELDS = [
+  { name: "notes", label: "Notes", type: "textarea", placeholder: "Anything the analyst should know (optional)", maxLength: 2000 },
+];
+
+const DEFAULT_INPUT_SCHEMAS = {
+  [JOB_TYPES.SECTOR_REPORT]: [
+    { name: "topic", label: "Sector", type: "text", required: true, placeholder: "e.g., Aviation", maxLength: 200 },
+    { name: "region", label: "Region", type: "text", required: true, placeholder: "e.g., Turkey, MENA", maxLength: 120 },
+    { name: "period", label: "Period", type: "text", placeholder: "e.g., 2025–2030", maxLength: 60 },
+  ],
+  [JOB_TYPES.COMPANY_ANALYSIS]: [
+    { name: "company_or_url", label: "Company name or URL", type: "company_or_url", required: true, placeholder: "e.g., Pegasus Airlines or https://example.com" },
+    { name: "topic", label: "Focus", type: "text", placeholder: "e.g., growth options, competitive position", maxLength: 200 },
+  ],
+  [JOB_TYPES.MASTER_PLAN]: [
+    { name: "topic", label: "Organisation / scope", type: "text", required: true, placeholder: "e.g., Group strategy for Acme Holding", maxLength: 200 },
+    {
+      name: "horizon", label: "Horizon", type: "select", required: true,
+      options: [{ value: "3y", label: "3 years" }, { value: "5y", label: "5 years" }, { value: "10y", label: "10 years" }],
+    },
+    { name: "geography", label: "Geography", type: "text", required: true, placeholder: "e.g., Turkey + Central Asia", maxLength: 120 },
+  ],
+};
+
+const DEFAULT_JOB_CATALOGUE = [
+  {
+    id: JOB_TYPES.SECTOR_REPORT,
+    label: "Sector Report",
+    description: "Market size, trends, competitive landscape and outlook for a sector in a region.",
+    input_schema: DEFAULT_INPUT_SCHEMAS[JOB_TYPES.SECTOR_REPORT],
+  },
+  {
+    id: JOB_TYPES.COMPANY_ANALYSIS,
+    label: "Company Analysis",
+    description: "Deep dive on one company: business model, financials, positioning and options.",
+    input_schema: DEFAULT_INPUT_SCHEMAS[JOB_TYPES.COMPANY_ANALYSIS],
+  },
+  {
+    id: JOB_TYPES.MASTER_PLAN,
+    label: "Strategic Master Plan",
+    description: "Multi-year strategy with initiatives, roadmap and financial targets.",
+    requires: { feature: "strategic_master_plan" },
+    input_schema: DEFAULT_INPUT_SCHEMAS[JOB_TYPES.MASTER_PLAN],
+  },
+];
+
+function normalizeJobType(t) {
+  return {
+    label: t.id,
+    description: "",
+    requires: {},
+    file_sets: { required: [], optional: [] },
+    ...t,
+    input_schema: normalizeInputSchema(t.input_schema || DEFAULT_INPUT_SCHEMAS[t.id]),
+  };
+}
+
+// tier restriction on a job type, or null; feature requirements go through FeatureGate
+function jobTypeLock(type, g) {
+  if (g.is_admin) return null;
+  const tiers = type?.requires?.tiers || [];
+  if (tiers.length && !tiers.includes(g.tier)) return `Requires ${tiers.join(" or ")} tier.`;
+  return null;
+}
+
+// one catalogue entry; with a lock note it's shown but can't be picked
+const JobTypeCard = ({ type, selected, disabled, lock, onSelect }) => {
+  const cls = `text-left rounded-xl p-3 border transition ${
+    selected ? "bg-indigo-600/20 border-indigo-500/50" : "bg-slate-900/50 border-slate-600 hover:border-slate-400"
+  }`;
+  const body = (
+    <>
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-bold">{type.label}</div>
+        {lock && <Icon name="lock" size={14} className="ml-auto text-slate-400"/>}
+      </div>
+      {type.description && <div className="text-xs text-slate-400 mt-1">{type.description}</div>}
+      {lock && <div className="text-[11px] text-yellow-200 mt-1">{lock}</div>}
+    </>
+  );
+  // a div when locked: the upgrade note's link must stay clickable
+  if (lock) return <div className={`${cls} opacity-60 cursor-not-allowed hover:border-slate-600`}>{body}</div>;
+  return (
+    <button onClick={() => onSelect(type.id)} disabled={disabled} title={type.description} className={`${cls} disabled:hover:border-slate-600`}>
+      {body}
+    </button>
   );
 };
+
+async function jobsTypes({ token }) {
+  return apiFetch(ROUTES.jobTypes, { method:"GET", token });
+}
+
+function useJobCatalogue(token) {
+  const [catalogue, setCatalogue] = useState(() => DEFAULT_JOB_CATALOGUE.map(normalizeJobType));
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      const r = await jobsTypes({ token });
+      // older backends have no catalogue endpoint: keep the built-in types
+      const types = (r.ok && Array.isArray(r.data?.types)) ? r.data.types.filter(t => t?.id) : [];
+      if (types.length) setCatalogue(types.map(normalizeJobType));
+    })();
+  }, [token]);
+  return catalogue;
+}
+
+function normalizeInputSchema(fields) {
+  return (Array.isArray(fields) ? fields : [])
+    .filter(f => f && f.name)
+    .map(f => ({ type: "text", label: f.name, ...f }));
+}
+
+// common fields are appended unless the type defines its own field of that name
+function jobInputFields(type) {
+  const own = normalizeInputSchema(type?.input_schema);
+  return [...own, ...COMMON_INPUT_FIELDS.filter(c => !own.some(f => f.name === c.name))];
+}
+
+function isHttpUrl(v) {
+  try { return ["http:", "https:"].includes(new URL(v).protocol); } catch { return false; }
+}
+function looksLikeUrl(v) { return /^(https?:\/\/|www\.)/i.test(v) || /^[^\s]+\.[a-z]{2,}(\/\S*)?$/i.test(v); }
+
+function validateJobInputs(fields, values) {
+  const errors = {};
+  fields.forEach(f => {
+    const v = String(values?.[f.name] ?? "").trim();
+    if (!v) {
+      if (f.required) errors[f.name] = `${f.label} is required.`;
+      return;
+    }
+    if (f.maxLength && v.length > f.maxLength) errors[f.name] = `${f.label} is too long (max ${f.maxLength}).`;
+    else if (f.type === "url" && !isHttpUrl(v)) errors[f.name] = "Enter a full URL (https://…).";
+    // anything that looks like a domain must be a usable URL; otherwise it's a company name
+    else if (f.type === "company_or_url" && looksLikeUrl(v) && !isHttpUrl(/^https?:\/\//i.test(v) ? v : `https://${v}`)) {
+      errors[f.name] = "That URL doesn't look valid.";
+    }
+    else if (f.type === "select" && (f.options || []).length && !f.options.some(o => o.value === v)) errors[f.name] = `Pick a ${f.label.toLowerCase()}.`;
+  });
+  return errors;
+}
+
+// English is the default deliverable language; the others need the language add-on
+const DELIVERABLE_LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "tr", label: "Turkish" },
+  { value: "ar", label: "Arabic" },
+  { value: "de", label: "German" },
+  { value: "fr", label: "French" },
+  { value: "es", label: "Spanish" },
+];
+
+// only the fields that apply to this job type go to the backend
+function buildJobInputs(fields, values, g) {
+  const out = { auto_design: !!values?.auto_design };
+  fields.forEach(f => {
+    const v = String(values?.[f.name] ?? "").trim();
+    if (v) out[f.name] = v;
+  });
+  if (g && hasFeature(g, "language_addon") && values?.language && values.language !== "en") out.language = values.language;
+  return out;
+}
+
 /* =========================
 Job API helpers (backend compatible)
 ========================= */
@@ -250,60 +1017,353 @@ async function jobsInit({ token, job_type, inputs }) {
   // backend expects { data:{ job_type, inputs } }
   return apiFetch(ROUTES.uploadsInit, { method:"POST", token, body: { data: { job_type, inputs } } });
 }
-async function jobsUpload({ token, job_id, file_set, file }) {
+async function jobsUpload({ token, job_id, file_set, file, onProgress, signal }) {
+  if (file.size > CHUNKED_UPLOAD_THRESHOLD) return jobsUploadChunked({ token, job_id, file_set, file, onProgress, signal });
   const fd = new FormData();
   fd.append("job_id", job_id);
   fd.append("file_set", file_set);
   fd.append("file", file);
-  return apiFetch(ROUTES.uploadsPut, { method:"POST", token, body: fd, isFormData: true });
+  return apiUpload(ROUTES.uploadsPut, { token, body: fd, onProgress, signal });
+}
+/* =========================
+Chunked uploads (resumable across network drops and reloads)
+init -> part x N (sha256 per part) -> complete; progress kept in IndexedDB
+========================= */
+const CHUNKED_UPLOAD_THRESHOLD = 16 * 1024 * 1024;
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const CHUNK_CHECKSUM_ATTEMPTS = 3;
+const PENDING_UPLOAD_MAX_AGE_MS = 7 * 24 * 3600 * 1000;
+
+// same job + set + file (name, size, mtime) => same resumable upload
+function chunkedUploadKey(job_id, file_set, file) {
+  return [job_id, file_set, file.name, file.size, file.lastModified].join("|");
+}
+
+async function sha256Hex(blob) {
+  const buf = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function listPendingUploads(job_id) {
+  const now = Date.now();
+  const all = await idbAll("uploads");
+  all.filter(x => now - (x.updated_at || 0) > PENDING_UPLOAD_MAX_AGE_MS).forEach(x => idbDelete("uploads", x.key));
+  return all.filter(x => x.job_id === job_id && now - (x.updated_at || 0) <= PENDING_UPLOAD_MAX_AGE_MS);
+}
+
+async function discardPendingUpload({ token, rec }) {
+  await idbDelete("uploads", rec.key);
+  return apiFetch(ROUTES.uploadsChunkAbort, { method:"POST", token, body: { data: { upload_id: rec.upload_id } } });
+}
+
+async function jobsUploadChunked({ token, job_id, file_set, file, onProgress, signal }) {
+  const key = chunkedUploadKey(job_id, file_set, file);
+  const saved = await idbGet("uploads", key);
+
+  // resume: server answers with the parts it already holds for upload_id (or a fresh upload_id)
+  const init = await apiFetch(ROUTES.uploadsChunkInit, {
+    method:"POST",
+    token,
+    body: { data: {
+      job_id, file_set,
+      filename: file.name,
+      size: file.size,
+      content_type: file.type || "application/octet-stream",
+      chunk_size: saved?.chunk_size || CHUNK_SIZE,
+      upload_id: saved?.upload_id || null,
+    } },
+  });
+  if (!init.ok) return init;
+
+  const upload_id = init.data?.upload_id;
+  const chunkSize = init.data?.chunk_size || saved?.chunk_size || CHUNK_SIZE;
+  const total = Math.max(1, Math.ceil(file.size / chunkSize));
+  const serverParts = Object.fromEntries((init.data?.parts || []).map(p => [p.part_number, p.sha256]));
+  const rec = {
+    key, job_id, file_set,
+    filename: file.name,
+    size: file.size,
+    upload_id,
+    chunk_size: chunkSize,
+    // trust only parts the server confirms; anything else is re-sent
+    parts: upload_id === saved?.upload_id ? serverParts : {},
+    updated_at: Date.now(),
+  };
+  await idbPut("uploads", rec);
+
+  const partLen = (n) => Math.min(chunkSize, file.size - (n - 1) * chunkSize);
+  let doneBytes = Object.keys(rec.parts).reduce((acc, n) => acc + partLen(Number(n)), 0);
+  onProgress?.(doneBytes / file.size);
+
+  for (let n = 1; n <= total; n++) {
+    if (rec.parts[n]) continue;
+    if (signal?.aborted) return { ok: false, status: 0, error: "canceled" };
+
+    const chunk = file.slice((n - 1) * chunkSize, n * chunkSize);
+    const sha256 = await sha256Hex(chunk);
+    let r = null;
+    for (let attempt = 1; attempt <= CHUNK_CHECKSUM_ATTEMPTS; attempt++) {
+      r = await apiUpload(`${ROUTES.uploadsChunkPart}?upload_id=${encodeURIComponent(upload_id)}&part_number=${n}`, {
+        token,
+        body: chunk,
+        headers: { "content-type": "application/octet-stream", "x-content-sha256": sha256 },
+        signal,
+        onProgress: (p) => onProgress?.((doneBytes + p * chunk.size) / file.size),
+      });
+      // 422 = server hash differs from ours: the bytes got mangled in transit, send again
+      if (r.status !== 422) break;
+    }
+    if (!r.ok) return r;
+    if (r.data?.sha256 && r.data.sha256 !== sha256) {
+      return { ok: false, status: 422, error: `checksum mismatch on part ${n}` };
+    }
+
+    rec.parts[n] = sha256;
+    rec.updated_at = Date.now();
+    await idbPut("uploads", rec);
+    doneBytes += chunk.size;
+  }
+
+  const parts = Array.from({ length: total }, (_, i) => ({ part_number: i + 1, sha256: rec.parts[i + 1] }));
+  const done = await apiFetch(ROUTES.uploadsChunkComplete, {
+    method:"POST",
+    token,
+    body: { data: { upload_id, job_id, file_set, parts } },
+    timeoutMs: 120000,
+  });
+  if (done.ok) await idbDelete("uploads", key);
+  return done;
 }
+
 async function jobsListUploads({ token, job_id }) {
   return apiFetch(`${ROUTES.uploadsList}?job_id=${encodeURIComponent(job_id)}`, { method:"GET", token });
 }
+async function jobsDeleteUpload({ token, job_id, key }) {
+  return apiFetch(ROUTES.uploadsDelete, { method:"POST", token, body: { data: { job_id, key } } });
+}
+async function jobsUpdateUpload({ token, job_id, key, file_set, filename }) {
+  return apiFetch(ROUTES.uploadsUpdate, { method:"POST", token, body: { data: { job_id, key, file_set, filename } } });
+}
 async function jobsSubmit({ token, job_id }) {
   return apiFetch(ROUTES.jobsSubmit, { method:"POST", token, body: { data: { job_id } } });
 }
 async function jobsStatus({ token, job_id }) {
-  const r1 = await apiFetch(`${ROUTES.jobsStatus}?job_id=${encodeURIComponent(job_id)}`, { method:"GET", token });
-  if (r1.ok) return r1;
-  if (r1.status === 404) return jobsListUploads({ token, job_id });
-  return r1;
+  return apiFetch(`${ROUTES.jobsStatus}?job_id=${encodeURIComponent(job_id)}`, { method:"GET", token });
+}
+async function jobsList({ token }) {
+  // backend returns { jobs:[{ id, job_type, status, created_at, inputs }] } for the session email
+  return apiFetch(ROUTES.jobsList, { method:"GET", token });
+}
+async function jobsVersions({ token, job_id }) {
+  return apiFetch(`${ROUTES.jobsVersions}?job_id=${encodeURIComponent(job_id)}`, { method:"GET", token });
+}
+async function jobsRevise({ token, job_id, comments }) {
+  return apiFetch(ROUTES.jobsRevise, { method:"POST", token, body: { data: { job_id, comments } } });
 }
-function buildDownloadUrl(job_id, sessionToken) {
-  // backend supports ?token= as well (your requireAuthEmail checks query token)
-  const t = sessionToken ? `&token=${encodeURIComponent(sessionToken)}` : "";
-  return `${API_BASE}${ROUTES.jobsDownload}?job_id=${encodeURIComponent(job_id)}${t}`;
+function jobDownloadPath(job_id, version) {
+  const v = version ? `&version=${encodeURIComponent(version)}` : "";
+  return `${ROUTES.jobsDownload}?job_id=${encodeURIComponent(job_id)}${v}`;
 }
-function triggerDownloadUrl(url) { window.location.href = url; }
 
 /* =========================
-Screens
+Downloads (authenticated fetch -> Blob -> save, with progress)
 ========================= */
-const LoginScreen = ({ onRequested, onError }) => {
-  const [email, setEmail] = useState("");
-  const [loading, setLoading] = useState(false);
-  const [health, setHealth] = useState(null);
+function downloadErrorMessage(r) {
+  if (r.status === 401) return "Your session has expired. Sign in again, then retry the download.";
+  if (r.status === 403) return "You don't have access to this file.";
+  if (r.status === 404) return "File not found. It may have been removed, or the report isn't generated yet.";
+  if (r.error === "timeout") return "The download stalled. Check your connection and try again.";
+  return `Download failed: ${r.error}`;
+}
 
-  useEffect(() => {
-    (async () => {
-      const h = await healthCheck();
-      setHealth(h.ok ? "ok" : "fail");
-    })();
-  }, []);
+// active: key -> progress (0..1, or null while the size is unknown); one download per key at a time
+function useDownloads({ token, toastError }) {
+  const [active, setActive] = useState({});
+  const ctrlsRef = useRef({});
 
-  const submit = async () => {
-    const e = email.trim().toLowerCase();
-    if (!e || !e.includes("@")) return onError("Please enter a valid email.");
-    setLoading(true);
-    const r = await requestMagicLink(e);
-    setLoading(false);
-    if (!r.ok) return onError(`Magic link failed: ${r.error}`);
-    // backend returns { ok:true, email, ttl_seconds }
-    const ttl = r.data?.ttl_seconds;
-    onRequested(e, ttl);
-  };
+  useEffect(() => () => Object.values(ctrlsRef.current).forEach(c => c.abort()), []);
 
-  return (
+  // resolves the apiDownload result (null if not started); save:false hands the blob back without saving it
+  const start = async (key, path, fallbackName, { save = true } = {}) => {
+    if (ctrlsRef.current[key]) return null;
+    if (!token) { toastError("Missing session token. Please sign in again."); return null; }
+    const ctrl = new AbortController();
+    ctrlsRef.current[key] = ctrl;
+    setActive(a => ({ ...a, [key]: null }));
+
+    const r = await apiDownload(path, {
+      token,
+      signal: ctrl.signal,
+      onProgress: (p) => setActive(a => key in a ? { ...a, [key]: p } : a),
+    });
+    delete ctrlsRef.current[key];
+    setActive(a => { const next = { ...a }; delete next[key]; return next; });
+
+    if (r.ok) {
+      r.filename = r.filename || fallbackName;
+      if (save) saveBlob(r.blob, r.filename);
+    } else if (r.error !== "canceled") toastError(downloadErrorMessage(r));
+    return r;
+  };
+
+  const cancel = (key) => ctrlsRef.current[key]?.abort();
+
+  return { active, start, cancel };
+}
+
+const DownloadProgress = ({ progress, label, onCancel }) => (
+  <div className="text-[11px] text-slate-300">
+    <div className="flex items-center gap-2">
+      <span className="truncate flex-1">{label}</span>
+      <span className="text-slate-400">{progress === null ? "…" : `${Math.round(progress * 100)}%`}</span>
+      {onCancel && (
+        <button onClick={onCancel} title="Cancel download" className="text-slate-400 hover:text-white">
+          <Icon name="x" size={14}/>
+        </button>
+      )}
+    </div>
+    <div className="h-1 mt-1 rounded-full bg-white/10 overflow-hidden">
+      <div className={`h-full bg-emerald-500 transition-all ${progress === null ? "animate-pulse w-full" : ""}`} style={progress === null ? undefined : { width: `${Math.round(progress * 100)}%` }} />
+    </div>
+  </div>
+);
+
+/* =========================
+Job status feed
+GET /jobs/events?job_id= pushes the current state on connect and then every change, as
+"status" frames shaped like a /jobs/status reply. Without it (4xx, or a plain JSON answer)
+the feed polls instead: exponential backoff, reset by any change, at the slowest rate while
+the tab is hidden. Both stop once nothing can change server-side. Only the leader tab for
+the job runs the feed; the others get its frames over the tab channel.
+========================= */
+const JOB_TERMINAL_STATUSES = ["delivered", "failed", "rejected"];
+const STATUS_POLL_MIN_MS = 3000;
+const STATUS_POLL_MAX_MS = 60000;
+const STATUS_STREAM_RETRIES = 3; // dropped connections in a row before settling for polling
+
+// terminal, or the owner's turn (draft / changes requested): nothing to wait for
+function jobNeedsWatch(status) {
+  return !!status && !JOB_TERMINAL_STATUSES.includes(status) && !EDITABLE_STATUSES.includes(status);
+}
+
+// the leader's side: SSE first, polling when the backend can't push; returns a stop function
+function startStatusFeed({ token, jobId, cb }) {
+  const ctrl = new AbortController();
+  let stopped = false;
+  let polling = false;
+  let timer = null;
+  let delay = STATUS_POLL_MIN_MS;
+  let last = null;
+  let inFlight = false;
+  const wait = (ms) => new Promise(res => { timer = setTimeout(res, ms); });
+  const deliver = (data) => {
+    cb.current.onStatus(data, { leader: true });
+    broadcast({ type: "job-status", jobId, data });
+    const st = data?.status || data?.job?.status || null;
+    const changed = !!st && st !== last;
+    last = st || last;
+    return changed;
+  };
+
+  const tick = async () => {
+    clearTimeout(timer);
+    if (inFlight) return;
+    inFlight = true;
+    const data = await cb.current.poll();
+    inFlight = false;
+    if (stopped) return;
+    const changed = data ? deliver(data) : false;
+    delay = changed ? STATUS_POLL_MIN_MS : Math.min(STATUS_POLL_MAX_MS, delay * 2);
+    timer = setTimeout(tick, document.visibilityState === "visible" ? delay : STATUS_POLL_MAX_MS);
+  };
+  const onVisibility = () => {
+    if (!polling || document.visibilityState !== "visible") return;
+    delay = STATUS_POLL_MIN_MS;
+    tick();
+  };
+
+  (async () => {
+    let failures = 0;
+    while (!stopped) {
+      const r = await apiStream(`${ROUTES.jobsEvents}?job_id=${encodeURIComponent(jobId)}`, {
+        method: "GET",
+        token,
+        signal: ctrl.signal,
+        stallMs: 60000, // the backend sends a heartbeat comment well inside this
+        onEvent: ({ data }) => {
+          if (!data || typeof data !== "object") return;
+          failures = 0;
+          deliver(data);
+        },
+      });
+      if (stopped) return;
+      if ((r.ok && !r.streamed) || (r.status >= 400 && r.status < 500)) break;
+      if (++failures > STATUS_STREAM_RETRIES) break;
+      await wait(1000 * 2 ** failures);
+    }
+    if (stopped) return;
+    polling = true;
+    tick();
+  })();
+
+  document.addEventListener("visibilitychange", onVisibility);
+  return () => {
+    stopped = true;
+    ctrl.abort();
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", onVisibility);
+  };
+}
+
+// poll() resolves a /jobs/status reply or null; onStatus(frame, { leader }) applies one,
+// and only the leader should download or notify
+function useJobStatusFeed({ token, jobId, status, onStatus, poll }) {
+  const cbRef = useRef({});
+  cbRef.current = { onStatus, poll };
+  const watch = !!(token && jobId && jobNeedsWatch(status));
+
+  // frames the leader tab (or a tab that just acted on the job) relays
+  useEffect(() => {
+    if (!jobId) return;
+    return onBroadcast(msg => {
+      if (msg.type === "job-status" && msg.jobId === jobId) cbRef.current.onStatus(msg.data, { leader: false });
+    });
+  }, [jobId]);
+
+  useEffect(() => {
+    if (!watch) return;
+    return whileLeader(`st-job-${jobId}`, () => startStatusFeed({ token, jobId, cb: cbRef }));
+  }, [watch, token, jobId]);
+}
+
+/* =========================
+Screens
+========================= */
+const LoginScreen = ({ onRequested, onError }) => {
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [health, setHealth] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      const h = await healthCheck();
+      setHealth(h.ok ? "ok" : "fail");
+    })();
+  }, []);
+
+  const submit = async () => {
+    const e = email.trim().toLowerCase();
+    if (!e || !e.includes("@")) return onError("Please enter a valid email.");
+    setLoading(true);
+    const r = await requestMagicLink(e);
+    setLoading(false);
+    if (!r.ok) return onError(`Magic link failed: ${r.error}`);
+    // backend returns { ok:true, email, ttl_seconds }
+    const ttl = r.data?.ttl_seconds;
+    onRequested(e, ttl);
+  };
+
+  return (
     <div className="min-h-screen aurora-bg flex items-center justify-center p-4">
       <div className="w-full max-w-xl glass p-8 rounded-3xl border border-white/10 shadow-2xl fade-in">
         <div className="flex justify-center mb-6"><AppLogo className="w-20 h-20" /></div>
@@ -386,311 +1446,2138 @@ const VerifyScreen = ({ token, onVerified, onError }) => {
 };
 
 /* =========================
-Deliverable Builder (BCG workflow)
+Session renewal (re-login without leaving the page)
+The magic link opens in another tab; that tab stores the new session and this one
+picks it up from the storage event, so nothing on screen is lost.
 ========================= */
-const JobWizard = ({ session, toastError, toastOk, autoDownloadEnabled }) => {
-  const token = session?.session_token || loadSessionToken() || null;
-  const access = session?.access;
-  const g = featureGate(access);
+const SessionModal = ({ email, mode, expiresAt, onRecheck, onLogout, onDismiss }) => {
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+  const expired = mode === "expired";
 
-  const [jobType, setJobType] = useState(JOB_TYPES.SECTOR_REPORT);
-  const [inputs, setInputs] = useState({ topic: "", company_or_url: "", notes: "", auto_design: true });
+  const send = async () => {
+    setSending(true);
+    setError(null);
+    // the new tab lands where this one is
+    saveReturnTo(window.location.pathname + window.location.search);
+    const r = await requestMagicLink(email);
+    setSending(false);
+    if (!r.ok) return setError(`Magic link failed: ${r.error}`);
+    setSent(true);
+  };
 
-  const [jobId, setJobId] = useState(null);
-  const [jobMeta, setJobMeta] = useState(null);
-  const [uploads, setUploads] = useState([]);
-  const [missingRequired, setMissingRequired] = useState([]);
-  const [status, setStatus] = useState("draft");
-  const [busy, setBusy] = useState(false);
+  return (
+    <div className="fixed inset-0 z-[9999] bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-md glass-panel p-6 rounded-2xl border border-white/10 shadow-2xl fade-in">
+        <div className="flex items-center gap-3 mb-3">
+          <Icon name="shield" size={20} className={expired ? "text-amber-300" : "text-indigo-300"} />
+          <h3 className="text-lg font-bold">{expired ? "Your session has expired" : "Your session expires soon"}</h3>
+        </div>
+        <p className="text-sm text-slate-300 mb-4">
+          {expired
+            ? "Sign in again to continue. Your unsaved inputs, the open job and paused uploads stay on this page."
+            : `Signed in until ${fmtDate(expiresAt)}. Renew now to avoid being interrupted.`}
+        </p>
 
-  const autoDownloadedRef = useRef(false);
+        {sent ? (
+          <div className="text-sm text-emerald-200 bg-emerald-950/40 border border-emerald-500/20 rounded-xl p-3 mb-4">
+            Magic link sent to <span className="font-bold">{email}</span>. Open it in a new tab — this page continues automatically once you're signed in.
+          </div>
+        ) : (
+          <button
+            onClick={send}
+            disabled={sending}
+            className="w-full py-3 mb-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold text-sm disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {sending ? <span className="loader border-t-indigo-500" style={{width:16,height:16,borderWidth:3}}/> : <Icon name="mail" size={16}/>}
+            Email me a sign-in link
+          </button>
+        )}
+        {error && <div className="text-xs text-red-300 mb-3">{error}</div>}
 
-  const requiredSets = jobMeta?.required || [];
-  const optionalSets = jobMeta?.optional || [];
-  const allSets = [...requiredSets, ...optionalSets];
+        <div className="flex items-center justify-between gap-2 text-xs">
+          <button onClick={onRecheck} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10">
+            I've signed in
+          </button>
+          <div className="flex gap-2">
+            {!expired && (
+              <button onClick={onDismiss} className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10">Later</button>
+            )}
+            <button onClick={onLogout} className="px-3 py-2 rounded-xl text-slate-400 hover:text-white">Log out</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-  const refreshUploads = async (id = jobId) => {
-    if (!id) return;
-    const r = await jobsListUploads({ token, job_id: id });
-    if (!r.ok) return toastError(`uploads/list failed: ${r.error}`);
-    setUploads(r.data?.files || []);
-    setMissingRequired(r.data?.missing_required_sets || []);
-    setStatus(r.data?.status || status);
-  };
+// statuses in which the owner may still change files and (re)submit
+const EDITABLE_STATUSES = ["draft", "changes_requested"];
 
-  const pollOnce = async (id = jobId) => {
-    if (!id) return;
-    const r = await jobsStatus({ token, job_id: id });
-    if (!r.ok) return;
+/* =========================
+Upload queue (multi-file, per-file progress, cancel, auto-retry)
+========================= */
+const UPLOAD_CONCURRENCY = 2;
+const UPLOAD_MAX_ATTEMPTS = 3;
+// "paused" = stopped by an expired session, picked up again by resumePaused() after re-login
+const UPLOAD_ACTIVE_STATES = ["queued", "uploading", "retrying", "paused"];
 
-    const st = r.data?.status || r.data?.job?.status || null;
-    if (st) setStatus(st);
+// network drops, stalls and server hiccups are worth another try; 4xx won't change
+function isRetryableUpload(r) { return r.status === 0 || r.status === 408 || r.status === 429 || r.status >= 500; }
 
-    if (r.data?.files) {
-      setUploads(r.data.files || []);
-      setMissingRequired(r.data?.missing_required_sets || []);
-    }
+function fmtBytes(n) {
+  if (!n) return "";
+  if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-    if (autoDownloadEnabled && !autoDownloadedRef.current && st === "delivered") {
-      autoDownloadedRef.current = true;
-      const url = buildDownloadUrl(id, token);
-      toastOk("Delivered! Auto-download started.");
-      triggerDownloadUrl(url);
-    }
-  };
+// queue lives in a ref (XHR callbacks need the current list), state only triggers re-render
+function useUploadQueue({ upload, onSettled }) {
+  const itemsRef = useRef([]);
+  const ctrlsRef = useRef({});
+  const timersRef = useRef({});
+  const cbRef = useRef({});
+  const [, setTick] = useState(0);
+  cbRef.current = { upload, onSettled };
 
-  useEffect(() => {
-    if (!jobId) return;
-    const interval = setInterval(() => pollOnce(jobId), 3500);
-    return () => clearInterval(interval);
-  }, [jobId, autoDownloadEnabled]);
+  useEffect(() => () => {
+    Object.values(ctrlsRef.current).forEach(c => c.abort());
+    Object.values(timersRef.current).forEach(t => clearTimeout(t));
+  }, []);
 
-  const onInit = async () => {
-    if ((!g.app_access && !g.is_admin)) return toastError("Access blocked: subscription is not active.");
-    if (!token) return toastError("Missing session token. Please sign in via magic link again.");
+  const find = (id) => itemsRef.current.find(x => x.id === id);
+  const update = (id, patch) => {
+    itemsRef.current = itemsRef.current.map(x => x.id === id ? { ...x, ...patch } : x);
+    setTick(t => t + 1);
+  };
+  const isIdle = () => !itemsRef.current.some(x => UPLOAD_ACTIVE_STATES.includes(x.state));
 
-    setBusy(true);
-    autoDownloadedRef.current = false;
+  const run = async (item) => {
+    const ctrl = new AbortController();
+    ctrlsRef.current[item.id] = ctrl;
+    update(item.id, { state: "uploading", attempt: item.attempt + 1, progress: 0, error: null });
 
-    const payloadInputs = {
-      auto_design: !!inputs.auto_design,
-      topic: inputs.topic,
-      company_or_url: inputs.company_or_url,
-      notes: inputs.notes,
-    };
+    const r = await cbRef.current.upload(item, {
+      signal: ctrl.signal,
+      onProgress: (p) => update(item.id, { progress: p }),
+    });
+    delete ctrlsRef.current[item.id];
 
-    const r = await jobsInit({ token, job_type: jobType, inputs: payloadInputs });
-    setBusy(false);
-    if (!r.ok) return toastError(`uploads/init failed: ${r.error}`);
+    const cur = find(item.id);
+    if (!cur || cur.state === "canceled") return pump();
 
-    setJobId(r.data?.job_id);
-    setJobMeta({ required: r.data?.required || [], optional: r.data?.optional || [], warnings: r.data?.warnings || [] });
-    setUploads([]);
-    setMissingRequired(r.data?.required || []);
-    setStatus("draft");
-    toastOk(`Job created: ${r.data?.job_id}`);
+    if (r.ok) {
+      update(item.id, { state: "done", progress: 1 });
+      cbRef.current.onSettled?.(find(item.id), r, isIdle());
+    } else if (r.status === 401) {
+      update(item.id, { state: "paused", progress: 0, error: r.error });
+    } else if (isRetryableUpload(r) && cur.attempt < UPLOAD_MAX_ATTEMPTS) {
+      const delay = 1000 * 2 ** (cur.attempt - 1);
+      update(item.id, { state: "retrying", error: r.error });
+      timersRef.current[item.id] = setTimeout(() => {
+        delete timersRef.current[item.id];
+        if (find(item.id)?.state !== "retrying") return;
+        update(item.id, { state: "queued" });
+        pump();
+      }, delay);
+    } else {
+      update(item.id, { state: "error", error: r.error });
+      cbRef.current.onSettled?.(find(item.id), r, isIdle());
+    }
+    pump();
   };
 
-  const onUpload = async (fileSet, file) => {
-    if (!jobId) return toastError("Create a job first (Init).");
-    if (!file) return;
-    setBusy(true);
-    const r = await jobsUpload({ token, job_id: jobId, file_set: fileSet, file });
-    setBusy(false);
-    if (!r.ok) return toastError(`upload failed: ${r.error}`);
-    toastOk(`Uploaded: ${file.name}`);
-    await refreshUploads(jobId);
+  const pump = () => {
+    const active = itemsRef.current.filter(x => x.state === "uploading").length;
+    itemsRef.current
+      .filter(x => x.state === "queued")
+      .slice(0, Math.max(0, UPLOAD_CONCURRENCY - active))
+      .forEach(run);
   };
 
-  const onSubmit = async () => {
-    if (!jobId) return toastError("Create a job first (Init).");
-    await refreshUploads(jobId);
-    if ((missingRequired || []).length) return toastError(`Missing required file sets: ${missingRequired.join(", ")}`);
+  const enqueue = (meta, files) => {
+    const list = Array.from(files || []);
+    if (!list.length) return;
+    const added = list.map(file => ({
+      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      ...meta,
+      file,
+      name: file.name,
+      size: file.size,
+      state: "queued",
+      progress: 0,
+      attempt: 0,
+      error: null,
+    }));
+    itemsRef.current = [...itemsRef.current, ...added];
+    setTick(t => t + 1);
+    pump();
+  };
 
-    setBusy(true);
-    const r = await jobsSubmit({ token, job_id: jobId });
-    setBusy(false);
-    if (!r.ok) return toastError(`jobs/submit failed: ${r.error}`);
+  const cancel = (id) => {
+    const cur = find(id);
+    if (!cur || !UPLOAD_ACTIVE_STATES.includes(cur.state)) return;
+    update(id, { state: "canceled" });
+    clearTimeout(timersRef.current[id]);
+    ctrlsRef.current[id]?.abort();
+  };
 
-    toastOk("Submitted for admin approval.");
-    setStatus("pending_review");
-    await pollOnce(jobId);
+  const retry = (id) => {
+    const cur = find(id);
+    if (!cur || !["error", "canceled"].includes(cur.state)) return;
+    update(id, { state: "queued", attempt: 0, progress: 0, error: null });
+    pump();
   };
 
-  const manualDownload = () => {
-    if (!jobId) return toastError("No job yet.");
-    if (status !== "delivered") return toastError("Not delivered yet.");
-    triggerDownloadUrl(buildDownloadUrl(jobId, token));
+  const resumePaused = () => {
+    if (!itemsRef.current.some(x => x.state === "paused")) return;
+    itemsRef.current = itemsRef.current.map(x => x.state === "paused" ? { ...x, state: "queued", attempt: 0, error: null } : x);
+    setTick(t => t + 1);
+    pump();
   };
 
-  const setChecklistIcon = (setName) => {
-    const present = new Set((uploads || []).map(x => x.file_set));
-    const ok = present.has(setName);
-    const required = requiredSets.includes(setName);
-    const color = ok ? "text-emerald-300" : (required ? "text-red-300" : "text-slate-400");
-    return <span className={`font-mono text-xs ${color}`}>{ok ? "✅" : "❌"}</span>;
+  const clearFinished = () => {
+    itemsRef.current = itemsRef.current.filter(x => !["done", "canceled"].includes(x.state));
+    setTick(t => t + 1);
   };
 
+  return { items: itemsRef.current, enqueue, cancel, retry, resumePaused, clearFinished };
+}
+
+const UploadRow = ({ item, onCancel, onRetry }) => {
+  const pct = Math.round((item.progress || 0) * 100);
+  const active = UPLOAD_ACTIVE_STATES.includes(item.state);
+  const bar = {
+    done: "bg-emerald-500",
+    error: "bg-red-500",
+    canceled: "bg-slate-500",
+  }[item.state] || "bg-indigo-500";
+  const label = {
+    queued: "queued",
+    uploading: `${pct}%`,
+    retrying: `retrying (${item.attempt}/${UPLOAD_MAX_ATTEMPTS})…`,
+    paused: "waiting for sign-in",
+    done: "uploaded",
+    error: "failed",
+    canceled: "canceled",
+  }[item.state];
+
   return (
-    <div className="glass-panel p-6 rounded-2xl mb-8">
-      <div className="flex flex-wrap items-center gap-3 mb-4">
-        <div className="text-lg font-bold">Deliverable Builder</div>
-        <div className="ml-auto flex items-center gap-2">
-          <button className="icon-btn" onClick={manualDownload} title="Download">
-            <Icon name="download" size={18}/>
+    <div className="text-[11px]">
+      <div className="flex items-center gap-2">
+        <div className="truncate flex-1 text-slate-300" title={item.error || item.name}>{item.name}</div>
+        <div className="text-slate-500">{fmtBytes(item.size)}</div>
+        <div className={item.state === "error" ? "text-red-300" : item.state === "paused" ? "text-amber-300" : "text-slate-400"}>{label}</div>
+        {active && (
+          <button onClick={() => onCancel(item.id)} title="Cancel" className="text-slate-400 hover:text-white">
+            <Icon name="x" size={14}/>
           </button>
-        </div>
+        )}
+        {["error", "canceled"].includes(item.state) && (
+          <button onClick={() => onRetry(item.id)} title="Retry" className="text-slate-400 hover:text-white">
+            <Icon name="refresh" size={14}/>
+          </button>
+        )}
       </div>
+      <div className="h-1 mt-1 rounded-full bg-white/10 overflow-hidden">
+        <div className={`h-full ${bar} transition-all`} style={{ width: `${item.state === "done" ? 100 : pct}%` }} />
+      </div>
+      {item.state === "error" && item.error && <div className="text-red-300 truncate">{String(item.error)}</div>}
+    </div>
+  );
+};
 
-      {/* Job type + Init */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
-        <select
-          value={jobType}
-          onChange={(e)=>setJobType(e.target.value)}
-          className="bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
-        >
-          <option value={JOB_TYPES.SECTOR_REPORT}>Sector Report</option>
-          <option value={JOB_TYPES.COMPANY_ANALYSIS}>Company Analysis</option>
-          <option value={JOB_TYPES.MASTER_PLAN}>Strategic Master Plan</option>
-        </select>
-
-        <div className="md:col-span-2 flex items-center gap-3">
-          <label className="text-xs text-slate-400 flex items-center gap-2">
-            <input type="checkbox" checked={!!inputs.auto_design} onChange={(e)=>setInputs(p=>({...p, auto_design:e.target.checked}))}/>
-            Auto design with consulting best practice
+const JobInputForm = ({ fields, values, errors, onChange, onBlur }) => (
+  <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+    {fields.map(f => {
+      const err = errors?.[f.name];
+      const cls = `w-full bg-slate-900/50 border rounded-xl p-3 text-white focus:outline-none ${err ? "border-red-500/60 focus:border-red-400" : "border-slate-600 focus:border-indigo-500"}`;
+      const common = {
+        id: `job-input-${f.name}`,
+        value: values?.[f.name] ?? "",
+        onChange: (e) => onChange(f.name, e.target.value),
+        onBlur: () => onBlur(f.name),
+        className: cls,
+      };
+      return (
+        <div key={f.name} className={f.type === "textarea" ? "md:col-span-3" : ""}>
+          <label htmlFor={common.id} className="block text-xs text-slate-400 mb-1">
+            {f.label}{f.required && <span className="text-red-300"> *</span>}
           </label>
+          {f.type === "select" ? (
+            <select {...common}>
+              <option value="">Select…</option>
+              {(f.options || []).map(o => <option key={o.value} value={o.value}>{o.label || o.value}</option>)}
+            </select>
+          ) : f.type === "textarea" ? (
+            <textarea {...common} rows={2} placeholder={f.placeholder || ""} />
+          ) : (
+            <input {...common} type={f.type === "url" ? "url" : "text"} placeholder={f.placeholder || ""} />
+          )}
+          {err && <div className="text-[11px] text-red-300 mt-1">{err}</div>}
+        </div>
+      );
+    })}
+  </div>
+);
 
-          <button
-            onClick={onInit}
-            disabled={busy}
-            className="ml-auto px-4 py-3 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold disabled:opacity-50"
+const UploadedFileRow = ({ file, sets, editable, replacing, onDelete, onMove, onRename, onReplace }) => {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState(file.filename || "");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const commitRename = () => {
+    const n = name.trim();
+    setRenaming(false);
+    if (n && n !== file.filename) onRename(file, n);
+    else setName(file.filename || "");
+  };
+
+  return (
+    <div className="bg-slate-800/40 border border-white/5 rounded-xl p-3">
+      <div className="flex items-center justify-between gap-2">
+        {editable ? (
+          <select
+            value={file.file_set}
+            onChange={(e)=>onMove(file, e.target.value)}
+            className="bg-slate-900/60 border border-white/10 rounded-lg px-2 py-1 text-xs font-mono text-slate-300"
+            title="Move to another file set"
           >
-            {busy ? "Working..." : "Init Job"}
-          </button>
-        </div>
+            {[...new Set([file.file_set, ...sets])].map(x => <option key={x} value={x}>{x}</option>)}
+          </select>
+        ) : (
+          <div className="text-xs font-mono text-slate-300">{file.file_set}</div>
+        )}
+        <div className="text-[10px] text-slate-500">{replacing ? "replacing…" : fmtBytes(file.size)}</div>
       </div>
 
-      {/* Inputs */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
-        <input
-          value={inputs.topic}
-          onChange={(e)=>setInputs(p=>({...p, topic:e.target.value}))}
-          placeholder="Topic / Sector (e.g., Aviation in Turkey)"
-          className="bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
-        />
-        <input
-          value={inputs.company_or_url}
-          onChange={(e)=>setInputs(p=>({...p, company_or_url:e.target.value}))}
-          placeholder="Company name or URL (for Company Analysis)"
-          className="bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
-        />
+      {renaming ? (
         <input
-          value={inputs.notes}
-          onChange={(e)=>setInputs(p=>({...p, notes:e.target.value}))}
-          placeholder="Notes (optional)"
-          className="bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
+          autoFocus
+          value={name}
+          onChange={(e)=>setName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e)=>{ if (e.key === "Enter") commitRename(); if (e.key === "Escape") { setName(file.filename || ""); setRenaming(false); } }}
+          className="w-full mt-1 bg-slate-900/60 border border-indigo-500/40 rounded-lg px-2 py-1 text-sm outline-none"
         />
-      </div>
+      ) : (
+        <div className="text-sm font-semibold truncate">{file.filename}</div>
+      )}
+      <div className="text-[10px] text-slate-500 truncate">{file.key}</div>
 
-      {/* Status */}
-      <div className="flex flex-wrap items-center gap-2 mb-4">
-        <div className="text-xs text-slate-400">Job:</div>
-        <div className="text-xs text-slate-200 font-mono">{jobId || "(not created)"}</div>
-        <StatusPill status={status || "draft"} />
-      </div>
+      {editable && (
+        <div className="mt-2 flex items-center gap-3 text-[11px] text-slate-400">
+          <button onClick={()=>setRenaming(true)} className="hover:text-white">Rename</button>
+          <label className="hover:text-white cursor-pointer">
+            Replace
+            <input type="file" className="hidden" onChange={(e)=>{ onReplace(file, e.target.files?.[0]); e.target.value = ""; }}/>
+          </label>
+          {confirmDelete ? (
+            <span className="ml-auto flex items-center gap-2">
+              <button onClick={()=>{ setConfirmDelete(false); onDelete(file); }} className="text-red-300 hover:text-red-200 font-bold">Delete</button>
+              <button onClick={()=>setConfirmDelete(false)} className="hover:text-white">Keep</button>
+            </span>
+          ) : (
+            <button onClick={()=>setConfirmDelete(true)} className="ml-auto hover:text-red-300">Remove</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-      {/* Required/Optional checklist + upload controls */}
-      {jobId && (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-          <div className="bg-slate-900/40 border border-white/10 rounded-2xl p-4">
-            <div className="text-sm font-bold mb-2">File-set checklist</div>
-            <div className="text-xs text-slate-400 mb-3">Required sets must be uploaded before submit. Optional sets improve quality.</div>
+/* =========================
+Report preview (.docx rendered in the browser)
+docx-preview turns the file into HTML: one section.docx per page break, and paragraph
+styles become classes, so headings are p.docx_heading1..9 (and p.docx_title).
+========================= */
+function docxHeadingLevel(el) {
+  const m = /(?:^|\s)docx_(?:title|heading([1-9]))(?:\s|$)/.exec(el.className || "");
+  if (!m) return 0;
+  return m[1] ? Number(m[1]) : 1;
+}
 
-            {(jobMeta?.warnings || []).length > 0 && (
-              <div className="text-xs text-yellow-200 bg-yellow-600/10 border border-yellow-500/20 rounded-xl p-3 mb-3">
-                {(jobMeta.warnings || []).map((w,i)=><div key={i}>• {w}</div>)}
-              </div>
-            )}
+function clearDocxHits(root) {
+  root.querySelectorAll("mark.docx-hit").forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
 
-            <div className="space-y-2">
-              {allSets.length === 0 && (
-                <div className="text-xs text-slate-400">No file sets required for this job type/tier.</div>
-              )}
+// wraps every case-insensitive occurrence of query in <mark class="docx-hit">, in document order
+function markDocxHits(root, query) {
+  const q = query.toLowerCase();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => (/^(STYLE|SCRIPT)$/.test(n.parentNode.nodeName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
 
-              {allSets.map(setName => {
-                const required = requiredSets.includes(setName);
-                return (
-                  <div key={setName} className="flex items-center gap-3 bg-slate-800/40 border border-white/5 rounded-xl p-3">
-                    {setChecklistIcon(setName)}
-                    <div className="text-sm font-semibold">
-                      {setName.toUpperCase()} {required ? <span className="text-red-300 text-xs">(required)</span> : <span className="text-slate-400 text-xs">(optional)</span>}
-                    </div>
-                    <div className="ml-auto">
-                      <label className="icon-btn cursor-pointer" title="Upload">
-                        <Icon name="paperclip" size={18}/>
-                        <input type="file" className="hidden" onChange={(e)=>onUpload(setName, e.target.files?.[0])}/>
-                      </label>
-                    </div>
-                  </div>
-                );
+  const hits = [];
+  nodes.forEach(node => {
+    const text = node.nodeValue;
+    const lower = text.toLowerCase();
+    let i = lower.indexOf(q);
+    if (i < 0) return;
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    while (i >= 0) {
+      frag.append(text.slice(last, i));
+      const mark = document.createElement("mark");
+      mark.className = "docx-hit";
+      mark.textContent = text.slice(i, i + q.length);
+      frag.append(mark);
+      hits.push(mark);
+      last = i + q.length;
+      i = lower.indexOf(q, last);
+    }
+    frag.append(text.slice(last));
+    node.parentNode.replaceChild(frag, node);
+  });
+  return hits;
+}
+
+const DocxPreview = ({ blob, filename, onClose, onDownload }) => {
+  const [state, setState] = useState("loading"); // loading | ready | error
+  const [error, setError] = useState(null);
+  const [toc, setToc] = useState([]);
+  const [pages, setPages] = useState(0);
+  const [page, setPage] = useState(0);
+  const [query, setQuery] = useState("");
+  const [hitCount, setHitCount] = useState(0);
+  const [hitIndex, setHitIndex] = useState(0);
+  const scrollRef = useRef(null);
+  const styleRef = useRef(null);
+  const bodyRef = useRef(null);
+  const sectionsRef = useRef([]);
+  const hitsRef = useRef([]);
+
+  // capture phase, so Escape closes the preview and not the drawer underneath as well
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      onClose();
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [onClose]);
+
+  useEffect(() => {
+    let live = true;
+    setState("loading");
+    setError(null);
+    (async () => {
+      let lib;
+      try {
+        lib = await loadDocxPreview();
+      } catch {
+        if (live) { setState("error"); setError("The document viewer could not be loaded. Download the file instead."); }
+        return;
+      }
+      if (!live) return;
+      try {
+        await lib.renderAsync(blob, bodyRef.current, styleRef.current, {
+          className: "docx",
+          inWrapper: true,
+          breakPages: true,
+          ignoreLastRenderedPageBreak: false,
+          useBase64URL: true,
+        });
+      } catch {
+        if (live) { setState("error"); setError("This file could not be displayed as a Word document. Download it instead."); }
+        return;
+      }
+      if (!live) return;
+
+      const body = bodyRef.current;
+      sectionsRef.current = [...body.querySelectorAll("section.docx")];
+      const entries = [];
+      body.querySelectorAll("p").forEach(p => {
+        const level = docxHeadingLevel(p);
+        const text = p.textContent.trim();
+        if (!level || !text) return;
+        p.id = `docx-toc-${entries.length}`;
+        entries.push({ id: p.id, level, text });
+      });
+      setToc(entries);
+      setPages(sectionsRef.current.length);
+      setPage(0);
+      setState("ready");
+    })();
+    return () => { live = false; };
+  }, [blob]);
+
+  // re-mark on every query change; the first hit becomes current
+  useEffect(() => {
+    if (state !== "ready") return;
+    const t = setTimeout(() => {
+      clearDocxHits(bodyRef.current);
+      const q = query.trim();
+      hitsRef.current = q ? markDocxHits(bodyRef.current, q) : [];
+      setHitCount(hitsRef.current.length);
+      setHitIndex(0);
+    }, 200);
+    return () => clearTimeout(t);
+  }, [query, state]);
+
+  useEffect(() => {
+    const hits = hitsRef.current;
+    hits.forEach((m, i) => m.classList.toggle("docx-hit-active", i === hitIndex));
+    hits[hitIndex]?.scrollIntoView({ block: "center" });
+  }, [hitIndex, hitCount]);
+
+  const stepHit = (dir) => {
+    if (!hitCount) return;
+    setHitIndex(i => (i + dir + hitCount) % hitCount);
+  };
+
+  const trackPage = () => {
+    const top = scrollRef.current.getBoundingClientRect().top + 80;
+    const sections = sectionsRef.current;
+    let current = 0;
+    sections.forEach((s, i) => { if (s.getBoundingClientRect().top <= top) current = i; });
+    setPage(current);
+  };
+
+  const goPage = (n) => {
+    const s = sectionsRef.current[Math.max(0, Math.min(pages - 1, n))];
+    s?.scrollIntoView({ block: "start" });
+  };
+
+  const goHeading = (id) => document.getElementById(id)?.scrollIntoView({ block: "start" });
+
+  return (
+    <div className="fixed inset-0 z-[9500] bg-black/70 flex flex-col fade-in">
+      <div className="glass-panel flex flex-wrap items-center gap-3 px-4 py-3 border-b border-white/10">
+        <div className="min-w-0">
+          <div className="text-xs uppercase tracking-widest text-indigo-300 font-bold">Report preview</div>
+          <div className="text-sm font-semibold truncate">{filename}</div>
+        </div>
+
+        {pages > 1 && (
+          <div className="flex items-center gap-2 text-xs text-slate-300">
+            <button onClick={() => goPage(page - 1)} disabled={page === 0} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 border border-white/10 disabled:opacity-40">Prev</button>
+            <span>Page {page + 1} of {pages}</span>
+            <button onClick={() => goPage(page + 1)} disabled={page >= pages - 1} className="px-2 py-1 rounded-lg bg-slate-800 hover:bg-slate-700 border border-white/10 disabled:opacity-40">Next</button>
+          </div>
+        )}
+
+        <div className="ml-auto flex items-center gap-2">
+          <input
+            value={query}
+            onChange={(e)=>setQuery(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); stepHit(e.shiftKey ? -1 : 1); } }}
+            disabled={state !== "ready"}
+            placeholder="Search the report"
+            className="w-48 bg-slate-900/50 border border-slate-600 rounded-xl px-3 py-2 text-white focus:outline-none focus:border-indigo-500 text-xs disabled:opacity-50"
+          />
+          {query.trim() && state === "ready" && (
+            <span className="text-[11px] text-slate-400 w-16">{hitCount ? `${hitIndex + 1} of ${hitCount}` : "No matches"}</span>
+          )}
+          <button className="icon-btn" onClick={onDownload} title="Download">
+            <Icon name="download" size={18}/>
+          </button>
+          <button className="icon-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={18}/>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex min-h-0">
+        {toc.length > 0 && (
+          <nav className="hidden md:block w-64 shrink-0 overflow-auto custom-scroll glass-panel border-r border-white/10 p-3">
+            <div className="text-xs uppercase tracking-widest text-slate-400 font-bold mb-2">Contents</div>
+            {toc.map(h => (
+              <button
+                key={h.id}
+                onClick={() => goHeading(h.id)}
+                className={`block w-full text-left truncate py-1 hover:text-white ${h.level === 1 ? "text-sm text-slate-200 font-semibold" : "text-xs text-slate-400"}`}
+                style={{ paddingLeft: `${(Math.min(h.level, 4) - 1) * 12}px` }}
+                title={h.text}
+              >
+                {h.text}
+              </button>
+            ))}
+          </nav>
+        )}
+
+        <div ref={scrollRef} onScroll={trackPage} className="flex-1 overflow-auto custom-scroll docx-view">
+          {state === "loading" && (
+            <div className="flex items-center justify-center gap-3 text-sm text-slate-300 p-10">
+              <span className="loader border-t-indigo-500" style={{width:18,height:18,borderWidth:3}}/> Rendering report…
+            </div>
+          )}
+          {state === "error" && (
+            <div className="max-w-md mx-auto mt-10 text-sm text-red-200 bg-red-950/40 border border-red-500/20 rounded-xl p-4">{error}</div>
+          )}
+          <div ref={styleRef} />
+          <div ref={bodyRef} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/* =========================
+Report versions (revision requests, per-version downloads, heading diff)
+A revision request on a delivered job sends it back to "generating"; the result becomes the
+next version and every earlier one stays downloadable through ?version=.
+========================= */
+const WORD_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const wAttr = (el, name) => el?.getAttributeNS(WORD_NS, name) ?? null;
+const wFirst = (el, name) => el?.getElementsByTagNameNS(WORD_NS, name)[0] || null;
+
+// style id -> heading level (Title 0, "heading N" N, else the style's outline level + 1)
+function docxHeadingStyles(stylesXml) {
+  const levels = {};
+  if (!stylesXml) return levels;
+  const doc = new DOMParser().parseFromString(stylesXml, "application/xml");
+  [...doc.getElementsByTagNameNS(WORD_NS, "style")].forEach(st => {
+    if (wAttr(st, "type") !== "paragraph") return;
+    const name = String(wAttr(wFirst(st, "name"), "val") || "").toLowerCase();
+    const outline = wAttr(wFirst(st, "outlineLvl"), "val");
+    const m = /^heading ([1-9])$/.exec(name);
+    if (m) levels[wAttr(st, "styleId")] = Number(m[1]);
+    else if (name === "title") levels[wAttr(st, "styleId")] = 0;
+    else if (outline !== null && Number(outline) < 9) levels[wAttr(st, "styleId")] = Number(outline) + 1;
+  });
+  return levels;
+}
+
+// [{ level, text }] in document order
+async function docxHeadings(blob) {
+  await loadScript(CDN.jszip);
+  const zip = await window.JSZip.loadAsync(blob).catch(() => { throw new Error("not a Word document"); });
+  const read = (name) => zip.file(name)?.async("string");
+  const [docXml, stylesXml] = await Promise.all([read("word/document.xml"), read("word/styles.xml")]);
+  if (!docXml) throw new Error("not a Word document");
+
+  const styles = docxHeadingStyles(stylesXml);
+  const doc = new DOMParser().parseFromString(docXml, "application/xml");
+  const out = [];
+  [...doc.getElementsByTagNameNS(WORD_NS, "p")].forEach(p => {
+    const pPr = wFirst(p, "pPr");
+    const styleId = wAttr(wFirst(pPr, "pStyle"), "val");
+    const outline = wAttr(wFirst(pPr, "outlineLvl"), "val");
+    const level = styleId in styles ? styles[styleId] : (outline !== null && Number(outline) < 9 ? Number(outline) + 1 : null);
+    if (level === null) return;
+    const text = [...p.getElementsByTagNameNS(WORD_NS, "t")].map(t => t.textContent).join("").trim();
+    if (text) out.push({ level, text });
+  });
+  return out;
+}
+
+// longest common subsequence on level + text: rows of { op: "same" | "added" | "removed", level, text }
+function diffHeadings(a, b) {
+  const key = (h) => `${h.level}|${h.text}`;
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = key(a[i]) === key(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (key(a[i]) === key(b[j])) { rows.push({ op: "same", ...a[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) rows.push({ op: "removed", ...a[i++] });
+    else rows.push({ op: "added", ...b[j++] });
+  }
+  while (i < n) rows.push({ op: "removed", ...a[i++] });
+  while (j < m) rows.push({ op: "added", ...b[j++] });
+  return rows;
+}
+
+const ReportVersions = ({ token, jobId, status, downloads, onPreview, onRevised, toastError, toastOk }) => {
+  const [versions, setVersions] = useState([]);
+  const [comments, setComments] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null); // { from, to, rows }
+  const [diffing, setDiffing] = useState(false);
+
+  const load = async () => {
+    const r = await jobsVersions({ token, job_id: jobId });
+    if (!r.ok) {
+      setVersions([]);
+      if (r.status !== 404) toastError(`jobs/versions failed: ${r.error}`);
+      return;
+    }
+    const list = [...(r.data?.versions || [])].sort((a, b) => a.version - b.version);
+    setVersions(list);
+    setFrom(list.length > 1 ? list[list.length - 2].version : null);
+    setTo(list.length ? list[list.length - 1].version : null);
+  };
+
+  useEffect(() => { setDiff(null); setComments(""); }, [jobId]);
+  // versions only appear on delivery; re-read when a revision lands or fails
+  useEffect(() => {
+    if (jobId && token && ["delivered", "generating", "failed"].includes(status)) load();
+    else setVersions([]);
+  }, [jobId, status, token]);
+
+  const keyFor = (v) => `report:${jobId}:v${v}`;
+  const fetchVersion = (v, save) => downloads.start(keyFor(v), jobDownloadPath(jobId, v), `${jobId}-v${v}.docx`, { save });
+
+  const preview = async (v) => {
+    const r = await fetchVersion(v, false);
+    if (r?.ok) onPreview({ blob: r.blob, filename: r.filename });
+  };
+
+  const requestRevision = async () => {
+    const note = comments.trim();
+    if (!note) return toastError("Describe what should change in the next version.");
+    setBusy(true);
+    const r = await jobsRevise({ token, job_id: jobId, comments: note });
+    setBusy(false);
+    if (!r.ok) return toastError(`jobs/revise failed: ${r.error}`);
+    const next = r.data?.version || (versions.length ? versions[versions.length - 1].version + 1 : 2);
+    toastOk(`Revision requested. Generating v${next}…`);
+    setComments("");
+    onRevised(r.data?.status || "generating");
+  };
+
+  const compare = async () => {
+    if (!from || !to || from === to) return toastError("Pick two different versions.");
+    setDiffing(true);
+    setDiff(null);
+    const [ra, rb] = await Promise.all([fetchVersion(from, false), fetchVersion(to, false)]);
+    if (!ra?.ok || !rb?.ok) return setDiffing(false);
+    try {
+      const [a, b] = await Promise.all([docxHeadings(ra.blob), docxHeadings(rb.blob)]);
+      setDiff({ from, to, rows: diffHeadings(a, b) });
+    } catch (e) {
+      toastError(`Could not read the section headings: ${e?.message || e}`);
+    }
+    setDiffing(false);
+  };
+
+  if (!versions.length) return null;
+
+  const latest = versions[versions.length - 1].version;
+  const added = diff ? diff.rows.filter(r => r.op === "added").length : 0;
+  const removed = diff ? diff.rows.filter(r => r.op === "removed").length : 0;
+  const selectCls = "bg-slate-900/60 border border-white/10 rounded-lg px-2 py-1 text-xs text-slate-300";
+
+  return (
+    <div className="bg-slate-900/40 border border-white/10 rounded-2xl p-4 mb-4 space-y-4">
+      <div>
+        <div className="text-sm font-bold mb-2">Report versions ({versions.length})</div>
+        <div className="space-y-2">
+          {[...versions].reverse().map(v => (
+            <div key={v.version} className="bg-slate-800/40 border border-white/5 rounded-xl p-3">
+              <div className="flex items-center gap-3">
+                <div className="text-sm font-semibold">v{v.version}</div>
+                {v.version === latest && <span className="text-[10px] px-2 py-0.5 rounded-full bg-emerald-600/30 text-emerald-200">latest</span>}
+                <div className="text-xs text-slate-400">{fmtDate(v.created_at)}</div>
+                {downloads.active[keyFor(v.version)] !== undefined ? (
+                  <div className="ml-auto w-28">
+                    <DownloadProgress progress={downloads.active[keyFor(v.version)]} label="" onCancel={() => downloads.cancel(keyFor(v.version))} />
+                  </div>
+                ) : (
+                  <div className="ml-auto flex gap-2">
+                    <button className="icon-btn" onClick={() => preview(v.version)} title={`Preview v${v.version}`}>
+                      <Icon name="eye" size={16}/>
+                    </button>
+                    <button className="icon-btn" onClick={() => fetchVersion(v.version, true)} title={`Download v${v.version}`}>
+                      <Icon name="download" size={16}/>
+                    </button>
+                  </div>
+                )}
+              </div>
+              {v.comments && <div className="text-xs text-slate-400 mt-2 whitespace-pre-wrap">Revision request: {v.comments}</div>}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {versions.length > 1 && (
+        <div>
+          <div className="text-sm font-bold mb-2">Compare section headings</div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <select value={from ?? ""} onChange={(e)=>setFrom(Number(e.target.value))} className={selectCls}>
+              {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+            </select>
+            <span className="text-slate-400">→</span>
+            <select value={to ?? ""} onChange={(e)=>setTo(Number(e.target.value))} className={selectCls}>
+              {versions.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+            </select>
+            <button
+              onClick={compare}
+              disabled={diffing}
+              className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 disabled:opacity-50"
+            >
+              {diffing ? "Comparing…" : "Compare"}
+            </button>
+          </div>
+
+          {diff && (
+            <div className="mt-3 bg-slate-950/40 border border-white/5 rounded-xl p-3">
+              <div className="text-xs text-slate-400 mb-2">
+                v{diff.from} → v{diff.to}: {added || removed ? `${added} added, ${removed} removed` : "same section headings"}
+              </div>
+              <div className="max-h-64 overflow-auto custom-scroll font-mono text-xs space-y-0.5">
+                {diff.rows.length === 0 && <div className="text-slate-400">No headings found in either version.</div>}
+                {diff.rows.map((r, i) => (
+                  <div
+                    key={i}
+                    className={r.op === "added" ? "text-emerald-300 bg-emerald-500/10" : r.op === "removed" ? "text-red-300 bg-red-500/10 line-through" : "text-slate-400"}
+                    style={{ paddingLeft: `${Math.min(r.level, 4) * 12}px` }}
+                  >
+                    {r.op === "added" ? "+ " : r.op === "removed" ? "− " : "  "}{r.text}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {status === "delivered" && (
+        <div>
+          <div className="text-sm font-bold mb-2">Request a revision</div>
+          <textarea
+            value={comments}
+            onChange={(e)=>setComments(e.target.value)}
+            rows={3}
+            placeholder="What should change in the next version? Your uploads and inputs are reused."
+            className="w-full bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500 text-sm"
+          />
+          <button
+            onClick={requestRevision}
+            disabled={busy || !comments.trim()}
+            className="mt-2 px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm disabled:opacity-50"
+          >
+            {busy ? "Sending…" : `Request v${latest + 1}`}
+          </button>
+        </div>
+      )}
+      {status === "generating" && (
+        <div className="text-xs text-indigo-200">Generating v{latest + 1}… it appears here when it's ready.</div>
+      )}
+    </div>
+  );
+};
+
+/* =========================
+Deliverable Builder (BCG workflow)
+========================= */
+const JobWizard = ({ session, toastError, toastOk, autoDownloadEnabled, openJobId, onJobChange, onJobContext, usage, onUsageChange }) => {
+  const token = session?.session_token || loadSessionToken() || null;
+  const access = session?.access;
+  const g = featureGate(access);
+
+  const [jobType, setJobType] = useState(JOB_TYPES.SECTOR_REPORT);
+  const [inputs, setInputs] = useState({ auto_design: true });
+  const catalogue = useJobCatalogue(token);
+  const [touched, setTouched] = useState({});
+  const [triedInit, setTriedInit] = useState(false);
+
+  // a resumed job may have a type the catalogue no longer offers; keep it selectable
+  const jobTypeDef = catalogue.find(t => t.id === jobType) || normalizeJobType({ id: jobType });
+  const jobTypeLocked = jobTypeLock(jobTypeDef, g);
+  const fields = jobInputFields(jobTypeDef);
+  const inputErrors = validateJobInputs(fields, inputs);
+  const visibleErrors = Object.fromEntries(Object.entries(inputErrors).filter(([k]) => triedInit || touched[k]));
+
+  const [jobId, setJobId] = useState(null);
+  const [jobMeta, setJobMeta] = useState(null);
+  const [uploads, setUploads] = useState([]);
+  const [missingRequired, setMissingRequired] = useState([]);
+  const [status, setStatus] = useState("draft");
+  const [review, setReview] = useState(null); // { decision, note, reviewer, at } from the admin
+  const [busy, setBusy] = useState(false);
+  const [preview, setPreview] = useState(null); // { blob, filename } of the delivered report
+
+  const autoDownloadedRef = useRef(false);
+  const downloads = useDownloads({ token, toastError });
+  const statusRef = useRef(status);
+  statusRef.current = status;
+
+  const requiredSets = jobMeta?.required || [];
+  const optionalSets = jobMeta?.optional || [];
+  const allSets = [...requiredSets, ...optionalSets];
+
+  const refreshUploads = async (id = jobId) => {
+    if (!id) return;
+    const r = await jobsListUploads({ token, job_id: id });
+    if (!r.ok) return toastError(`uploads/list failed: ${r.error}`);
+    setUploads(r.data?.files || []);
+    setMissingRequired(r.data?.missing_required_sets || []);
+    setStatus(r.data?.status || status);
+  };
+
+  // a /jobs/status reply or a status frame; only the leader tab downloads and notifies
+  const applyStatus = (data, id = jobId, leader = true) => {
+    const st = data?.status || data?.job?.status || null;
+    if (leader && st && st !== statusRef.current) notifyJob({ jobId: id, status: st, label: jobTypeDef.label });
+    if (st) setStatus(st);
+    setReview(data?.job?.review || data?.review || null);
+
+    if (data?.files) {
+      setUploads(data.files || []);
+      setMissingRequired(data?.missing_required_sets || []);
+    }
+
+    if (leader && autoDownloadEnabled && !autoDownloadedRef.current && st === "delivered") {
+      autoDownloadedRef.current = true;
+      toastOk("Delivered! Auto-download started.");
+      downloads.start(`report:${id}`, jobDownloadPath(id), `${id}.docx`);
+    }
+    return st;
+  };
+
+  // after our own action (submit): apply and tell the other tabs
+  const pollOnce = async (id = jobId) => {
+    if (!id) return;
+    const r = await jobsStatus({ token, job_id: id });
+    if (!r.ok) return;
+    applyStatus(r.data, id);
+    broadcast({ type: "job-status", jobId: id, data: r.data });
+  };
+
+  useJobStatusFeed({
+    token,
+    jobId,
+    status,
+    onStatus: (data, { leader }) => applyStatus(data, jobId, leader),
+    poll: async () => {
+      const r = await jobsStatus({ token, job_id: jobId });
+      return r.ok ? r.data : null;
+    },
+  });
+
+  // ✅ resume an existing job (from My Jobs): inputs, file sets, uploads, status
+  const loadJob = async (id) => {
+    if (!id) return;
+    if (!token) return toastError("Missing session token. Please sign in via magic link again.");
+
+    setBusy(true);
+    const [rs, ru] = await Promise.all([jobsStatus({ token, job_id: id }), jobsListUploads({ token, job_id: id })]);
+    setBusy(false);
+    if (!rs.ok && !ru.ok) return toastError(`jobs/status failed: ${rs.error}`);
+
+    const job = rs.data?.job || rs.data || {};
+    const files = ru.data?.files || rs.data?.files || [];
+    const missing = ru.data?.missing_required_sets || rs.data?.missing_required_sets || [];
+    const required = job.required || ru.data?.required || missing;
+    const optional = job.optional || ru.data?.optional || [];
+    // uploads in sets we don't know about still need a checklist row
+    const extra = files.map(f => f.file_set).filter(x => x && !required.includes(x) && !optional.includes(x));
+    const st = job.status || ru.data?.status || "draft";
+
+    setJobId(id);
+    if (job.job_type) setJobType(job.job_type);
+    setInputs({ auto_design: true, ...(job.inputs || {}) });
+    setJobMeta({ required, optional: [...optional, ...new Set(extra)], warnings: job.warnings || [] });
+    setUploads(files);
+    setMissingRequired(missing);
+    setStatus(st);
+    setReview(job.review || null);
+    // already delivered before we opened it: don't auto-download again
+    autoDownloadedRef.current = st === "delivered";
+  };
+
+  const resetJob = () => {
+    setJobId(null);
+    setJobMeta(null);
+    setUploads([]);
+    setMissingRequired([]);
+    setStatus("draft");
+    setReview(null);
+    autoDownloadedRef.current = false;
+  };
+
+  useEffect(() => {
+    if (openJobId && openJobId !== jobId) loadJob(openJobId);
+    if (!openJobId && jobId) resetJob();
+  }, [openJobId]);
+
+  // another type or another job: its form starts without errors until touched or submitted
+  useEffect(() => {
+    setTriedInit(false);
+    setTouched({});
+  }, [jobType, jobId]);
+
+  // what the Advisor can ground answers in
+  useEffect(() => {
+    onJobContext?.(jobId ? { id: jobId, job_type: jobType, status, inputs, uploads } : null);
+  }, [jobId, jobType, status, inputs, uploads]);
+  useEffect(() => () => onJobContext?.(null), []);
+
+  const copyJobLink = async () => {
+    if (!jobId) return;
+    const url = `${window.location.origin}/jobs/${encodeURIComponent(jobId)}`;
+    try { await navigator.clipboard.writeText(url); toastOk("Job link copied."); }
+    catch { toastError(`Copy failed. Link: ${url}`); }
+  };
+
+  const onInit = async () => {
+    if (!hasFeature(g, "app_access")) return toastError("Access blocked: subscription is not active.");
+    if (!token) return toastError("Missing session token. Please sign in via magic link again.");
+
+    if (jobTypeLocked) return toastError(`${jobTypeDef.label}: ${jobTypeLocked}`);
+    setTriedInit(true);
+    if (Object.keys(inputErrors).length) return toastError(Object.values(inputErrors)[0]);
+
+    setBusy(true);
+    autoDownloadedRef.current = false;
+
+    const payloadInputs = buildJobInputs(fields, inputs, g);
+
+    const r = await jobsInit({ token, job_type: jobType, inputs: payloadInputs });
+    setBusy(false);
+    if (!r.ok) return toastError(`uploads/init failed: ${r.error}`);
+
+    setJobId(r.data?.job_id);
+    setJobMeta({ required: r.data?.required || [], optional: r.data?.optional || [], warnings: r.data?.warnings || [] });
+    setUploads([]);
+    setMissingRequired(r.data?.required || []);
+    setStatus("draft");
+    toastOk(`Job created: ${r.data?.job_id}`);
+    onJobChange?.(r.data?.job_id);
+  };
+
+  const queue = useUploadQueue({
+    upload: (item, { signal, onProgress }) =>
+      jobsUpload({ token, job_id: item.jobId, file_set: item.fileSet, file: item.file, signal, onProgress }),
+    onSettled: async (item, r, idle) => {
+      if (!r.ok) toastError(`upload failed: ${item.name}: ${r.error}`);
+      // replace = upload the new file first, drop the old one only once that succeeded
+      if (r.ok && item.replaceKey) {
+        const d = await jobsDeleteUpload({ token, job_id: item.jobId, key: item.replaceKey });
+        if (!d.ok) toastError(`uploads/delete failed: ${d.error}`);
+      }
+      // one list refresh per batch, not per file
+      if (idle && item.jobId === jobId) {
+        refreshUploads(item.jobId);
+        loadPendingUploads(item.jobId);
+      }
+    },
+  });
+  const jobQueue = queue.items.filter(x => x.jobId === jobId);
+
+  // a fresh session token after re-login: carry on with uploads the expiry interrupted
+  useEffect(() => { if (token) queue.resumePaused(); }, [token]);
+
+  // chunked uploads interrupted by a reload: the File is gone, re-dropping it resumes
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const loadPendingUploads = async (id = jobId) => setPendingUploads(id ? await listPendingUploads(id) : []);
+  useEffect(() => { loadPendingUploads(jobId); }, [jobId]);
+
+  const interrupted = pendingUploads.filter(p =>
+    !jobQueue.some(x => x.state !== "done" && chunkedUploadKey(jobId, x.fileSet, x.file) === p.key));
+
+  const discardPending = async (rec) => {
+    await discardPendingUpload({ token, rec });
+    loadPendingUploads(jobId);
+  };
+  const uploading = jobQueue.some(x => UPLOAD_ACTIVE_STATES.includes(x.state));
+  const [dragSet, setDragSet] = useState(null);
+
+  const onUpload = (fileSet, files) => {
+    if (!jobId) return toastError("Create a job first (Init).");
+    if (!files?.length) return;
+    queue.enqueue({ jobId, fileSet }, files);
+  };
+
+  // files can only be changed before review, or when the reviewer sent the job back
+  const editable = EDITABLE_STATUSES.includes(status);
+
+  const onDeleteFile = async (f) => {
+    setBusy(true);
+    const r = await jobsDeleteUpload({ token, job_id: jobId, key: f.key });
+    setBusy(false);
+    if (!r.ok) return toastError(`uploads/delete failed: ${r.error}`);
+    toastOk(`Removed: ${f.filename}`);
+    await refreshUploads(jobId);
+  };
+
+  const onUpdateFile = async (f, patch, msg) => {
+    setBusy(true);
+    const r = await jobsUpdateUpload({ token, job_id: jobId, key: f.key, ...patch });
+    setBusy(false);
+    if (!r.ok) return toastError(`uploads/update failed: ${r.error}`);
+    toastOk(msg);
+    await refreshUploads(jobId);
+  };
+
+  const onReplaceFile = (f, file) => {
+    if (!file) return;
+    queue.enqueue({ jobId, fileSet: f.file_set, replaceKey: f.key }, [file]);
+  };
+
+  const dropProps = (setName) => ({
+    onDragOver: (e) => { e.preventDefault(); e.dataTransfer.dropEffect = "copy"; setDragSet(setName); },
+    onDragLeave: (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragSet(null); },
+    onDrop: (e) => { e.preventDefault(); setDragSet(null); onUpload(setName, e.dataTransfer.files); },
+  });
+
+  const onSubmit = async () => {
+    if (!jobId) return toastError("Create a job first (Init).");
+    if (uploading) return toastError("Uploads still in progress. Wait for them to finish.");
+    await refreshUploads(jobId);
+    if ((missingRequired || []).length) return toastError(`Missing required file sets: ${missingRequired.join(", ")}`);
+    // a resubmission doesn't use another report
+    const firstSubmit = status === "draft";
+    if (firstSubmit && quotaState(usage, "reports")?.over) return toastError("Report quota used up for this period. Upgrade your plan to submit.");
+
+    setBusy(true);
+    const r = await jobsSubmit({ token, job_id: jobId });
+    setBusy(false);
+    if (!r.ok) return toastError(`jobs/submit failed: ${r.error}`);
+    if (firstSubmit) onUsageChange?.();
+
+    toastOk(status === "changes_requested" ? "Resubmitted for admin approval." : "Submitted for admin approval.");
+    setStatus("pending_review");
+    onJobChange?.(jobId);
+    await pollOnce(jobId);
+  };
+
+  const manualDownload = () => {
+    if (!jobId) return toastError("No job yet.");
+    if (status !== "delivered") return toastError("Not delivered yet.");
+    downloads.start(`report:${jobId}`, jobDownloadPath(jobId), `${jobId}.docx`);
+  };
+  const reportProgress = jobId ? downloads.active[`report:${jobId}`] : undefined;
+
+  const openPreview = async () => {
+    if (!jobId) return toastError("No job yet.");
+    if (status !== "delivered") return toastError("Not delivered yet.");
+    const r = await downloads.start(`report:${jobId}`, jobDownloadPath(jobId), `${jobId}.docx`, { save: false });
+    if (r?.ok) setPreview({ blob: r.blob, filename: r.filename });
+  };
+
+  const setChecklistIcon = (setName) => {
+    const present = new Set((uploads || []).map(x => x.file_set));
+    const ok = present.has(setName);
+    const required = requiredSets.includes(setName);
+    const color = ok ? "text-emerald-300" : (required ? "text-red-300" : "text-slate-400");
+    return <span className={`font-mono text-xs ${color}`}>{ok ? "✅" : "❌"}</span>;
+  };
+
+  return (
+    <div className="glass-panel p-6 rounded-2xl mb-8">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="text-lg font-bold">Deliverable Builder</div>
+        <div className="ml-auto flex items-center gap-2">
+          {jobId && (
+            <Link to="/jobs" className="px-3 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-xs">
+              New job
+            </Link>
+          )}
+          <button className="icon-btn" onClick={copyJobLink} disabled={!jobId} title="Copy job link">
+            <Icon name="link" size={18}/>
+          </button>
+          <button className="icon-btn" onClick={openPreview} disabled={reportProgress !== undefined || status !== "delivered"} title="Preview report">
+            <Icon name="eye" size={18}/>
+          </button>
+          <button className="icon-btn" onClick={manualDownload} disabled={reportProgress !== undefined} title="Download">
+            <Icon name="download" size={18}/>
+          </button>
+        </div>
+      </div>
+
+      {preview && (
+        <DocxPreview
+          blob={preview.blob}
+          filename={preview.filename}
+          onClose={() => setPreview(null)}
+          onDownload={() => saveBlob(preview.blob, preview.filename)}
+        />
+      )}
+
+      {reportProgress !== undefined && (
+        <div className="mb-4">
+          <DownloadProgress progress={reportProgress} label="Downloading report…" onCancel={() => downloads.cancel(`report:${jobId}`)} />
+        </div>
+      )}
+
+      {/* Job type + Init */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+        {[...catalogue, ...(catalogue.some(t => t.id === jobType) ? [] : [jobTypeDef])].map(t => {
+          const card = { type: t, selected: t.id === jobType, disabled: !!jobId, onSelect: setJobType };
+          const feature = t.requires?.feature;
+          return (
+            <FeatureGate
+              key={t.id}
+              access={access}
+              feature={feature}
+              fallback={<JobTypeCard {...card} lock={<UpgradeNote feature={feature} access={access} />} />}
+            >
+              <JobTypeCard {...card} lock={jobTypeLock(t, g)} />
+            </FeatureGate>
+          );
+        })}
+      </div>
+
+      {!jobId && (jobTypeDef.file_sets?.required?.length > 0 || jobTypeDef.file_sets?.optional?.length > 0) && (
+        <div className="text-xs text-slate-400 mb-3">
+          Files you'll upload: {(jobTypeDef.file_sets.required || []).map(x => <span key={x} className="font-mono text-red-300 mr-2">{x}</span>)}
+          {(jobTypeDef.file_sets.optional || []).map(x => <span key={x} className="font-mono text-slate-300 mr-2">{x}?</span>)}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 mb-4">
+        <label className="text-xs text-slate-400 flex items-center gap-2">
+          <input type="checkbox" checked={!!inputs.auto_design} onChange={(e)=>setInputs(p=>({...p, auto_design:e.target.checked}))}/>
+          Auto design with consulting best practice
+        </label>
+
+        {status === "draft" && (
+          <QuotaNotice usage={usage} meter="reports" action="submitting a new report" className="flex-1 text-right" />
+        )}
+
+        <FeatureGate access={access} feature="language_addon">
+          <label className="text-xs text-slate-400 flex items-center gap-2">
+            Language
+            <select
+              value={inputs.language || "en"}
+              onChange={(e)=>setInputs(p=>({...p, language:e.target.value}))}
+              disabled={!!jobId}
+              className="bg-slate-900/60 border border-slate-600 rounded-lg px-2 py-1 text-xs text-slate-200 outline-none"
+            >
+              {DELIVERABLE_LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+            </select>
+          </label>
+        </FeatureGate>
+
+        <FeatureGate
+          access={access}
+          feature={jobTypeDef.requires?.feature}
+          fallback={<UpgradeNote feature={jobTypeDef.requires?.feature} access={access} className="ml-auto" />}
+        >
+          <button
+            onClick={onInit}
+            disabled={busy || !!jobTypeLocked}
+            className="ml-auto px-4 py-3 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold disabled:opacity-50"
+          >
+            {busy ? "Working..." : "Init Job"}
+          </button>
+        </FeatureGate>
+      </div>
+
+      {/* Inputs (rendered from the job type's schema) */}
+      <JobInputForm
+        fields={fields}
+        values={inputs}
+        errors={visibleErrors}
+        onChange={(name, v) => setInputs(p => ({ ...p, [name]: v }))}
+        onBlur={(name) => setTouched(t => ({ ...t, [name]: true }))}
+      />
+
+      {/* Status */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="text-xs text-slate-400">Job:</div>
+        <div className="text-xs text-slate-200 font-mono">{jobId || "(not created)"}</div>
+        <StatusPill status={status || "draft"} />
+      </div>
+
+      {review?.note && ["changes_requested", "rejected"].includes(status) && (
+        <div className={`text-sm rounded-xl p-3 mb-4 border ${status === "rejected" ? "bg-rose-700/10 border-rose-500/30 text-rose-100" : "bg-orange-600/10 border-orange-500/30 text-orange-100"}`}>
+          <div className="text-[10px] uppercase tracking-widest font-bold mb-1">
+            {status === "rejected" ? "Rejected by reviewer" : "Reviewer requested changes"}
+            {review.at && <span className="normal-case tracking-normal font-normal text-slate-400"> • {fmtDate(review.at)}</span>}
+          </div>
+          <div className="whitespace-pre-wrap">{review.note}</div>
+          <div className="text-xs text-slate-400 mt-2">
+            {status === "rejected"
+              ? "This job is closed. Start a new job if you want to try again."
+              : "Fix the file sets below, then Resubmit this job."}
+          </div>
+        </div>
+      )}
+
+      {jobId && (
+        <ReportVersions
+          token={token}
+          jobId={jobId}
+          status={status}
+          downloads={downloads}
+          onPreview={setPreview}
+          onRevised={(st) => {
+            autoDownloadedRef.current = false;
+            setStatus(st);
+            pollOnce(jobId);
+          }}
+          toastError={toastError}
+          toastOk={toastOk}
+        />
+      )}
+
+      {/* Required/Optional checklist + upload controls */}
+      {jobId && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className="bg-slate-900/40 border border-white/10 rounded-2xl p-4">
+            <div className="text-sm font-bold mb-2">File-set checklist</div>
+            <div className="text-xs text-slate-400 mb-3">Required sets must be uploaded before submit. Optional sets improve quality. Drop files onto a row to upload several at once.</div>
+
+            {interrupted.length > 0 && (
+              <div className="text-xs text-indigo-200 bg-indigo-600/10 border border-indigo-500/20 rounded-xl p-3 mb-3 space-y-1">
+                <div className="font-semibold">Interrupted uploads — drop the same file on its row to resume:</div>
+                {interrupted.map(p => (
+                  <div key={p.key} className="flex items-center gap-2">
+                    <span className="font-mono">{p.file_set}</span>
+                    <span className="truncate flex-1">{p.filename}</span>
+                    <span className="text-slate-400">
+                      {Math.round(100 * Object.keys(p.parts || {}).length / Math.max(1, Math.ceil(p.size / p.chunk_size)))}%
+                    </span>
+                    <button onClick={() => discardPending(p)} className="text-slate-400 hover:text-white" title="Discard">
+                      <Icon name="x" size={14}/>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {(jobMeta?.warnings || []).length > 0 && (
+              <div className="text-xs text-yellow-200 bg-yellow-600/10 border border-yellow-500/20 rounded-xl p-3 mb-3">
+                {(jobMeta.warnings || []).map((w,i)=><div key={i}>• {w}</div>)}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              {allSets.length === 0 && (
+                <div className="text-xs text-slate-400">No file sets required for this job type/tier.</div>
+              )}
+
+              {allSets.map(setName => {
+                const required = requiredSets.includes(setName);
+                const setItems = jobQueue.filter(x => x.fileSet === setName);
+                return (
+                  <div
+                    key={setName}
+                    {...dropProps(setName)}
+                    className={`bg-slate-800/40 border rounded-xl p-3 transition ${dragSet === setName ? "border-indigo-400 bg-indigo-600/10" : "border-white/5"}`}
+                  >
+                    <div className="flex items-center gap-3">
+                      {setChecklistIcon(setName)}
+                      <div className="text-sm font-semibold">
+                        {setName.toUpperCase()} {required ? <span className="text-red-300 text-xs">(required)</span> : <span className="text-slate-400 text-xs">(optional)</span>}
+                      </div>
+                      <div className="ml-auto">
+                        <label className="icon-btn cursor-pointer" title="Upload files">
+                          <Icon name="paperclip" size={18}/>
+                          <input
+                            type="file"
+                            multiple
+                            className="hidden"
+                            onChange={(e)=>{ onUpload(setName, e.target.files); e.target.value = ""; }}
+                          />
+                        </label>
+                      </div>
+                    </div>
+
+                    {setItems.length > 0 && (
+                      <div className="mt-2 space-y-2">
+                        {setItems.map(item => (
+                          <UploadRow key={item.id} item={item} onCancel={queue.cancel} onRetry={queue.retry} />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
               })}
             </div>
 
-            <div className="mt-4 flex gap-2">
-              <button
-                disabled={busy || !jobId}
-                onClick={() => refreshUploads(jobId)}
-                className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm"
-              >
-                Refresh
-              </button>
+            <div className="mt-4 flex gap-2">
+              <button
+                disabled={busy || !jobId}
+                onClick={() => refreshUploads(jobId)}
+                className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm"
+              >
+                Refresh
+              </button>
+
+              {jobQueue.some(x => ["done", "canceled"].includes(x.state)) && (
+                <button
+                  onClick={queue.clearFinished}
+                  className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm"
+                >
+                  Clear finished
+                </button>
+              )}
+
+              <button
+                disabled={busy || !jobId || uploading}
+                onClick={onSubmit}
+                className="ml-auto px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-500 font-bold disabled:opacity-50"
+              >
+                {status === "changes_requested" ? "Resubmit" : "Submit for approval"}
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-slate-900/40 border border-white/10 rounded-2xl p-4">
+            <div className="text-sm font-bold mb-2">Uploaded files</div>
+            <div className="text-xs text-slate-400 mb-3">Stored in R2 under your job.</div>
+
+            <div className="h-[260px] overflow-auto custom-scroll space-y-2">
+              {(uploads || []).length === 0 ? (
+                <div className="text-xs text-slate-400">No uploads yet.</div>
+              ) : (
+                uploads.map((f, i) => (
+                  <UploadedFileRow
+                    key={f.key || i}
+                    file={f}
+                    sets={allSets}
+                    editable={editable && !busy}
+                    replacing={jobQueue.some(x => x.replaceKey === f.key && UPLOAD_ACTIVE_STATES.includes(x.state))}
+                    onDelete={onDeleteFile}
+                    onMove={(file, file_set) => onUpdateFile(file, { file_set }, `Moved ${file.filename} to ${file_set}`)}
+                    onRename={(file, filename) => onUpdateFile(file, { filename }, `Renamed to ${filename}`)}
+                    onReplace={onReplaceFile}
+                  />
+                ))
+              )}
+            </div>
+
+            <div className="mt-3 text-xs text-slate-400">
+              Download available when status becomes <span className="text-emerald-300 font-bold">delivered</span>.
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+/* =========================
+My Jobs (history + resume)
+========================= */
+const JOB_STATUSES = ["draft", "pending_review", "changes_requested", "rejected", "generating", "delivered", "failed"];
+
+function fmtDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? String(iso) : d.toLocaleString();
+}
+
+function jobSummary(inputs) {
+  return Object.values(inputs || {}).filter(v => typeof v === "string" && v.trim()).join(" • ");
+}
+
+const MyJobsPanel = ({ session, toastError, activeJobId, reloadKey }) => {
+  const token = session?.session_token || loadSessionToken() || null;
+
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+
+  const load = async () => {
+    if (!token) return;
+    setLoading(true);
+    const r = await jobsList({ token });
+    setLoading(false);
+    if (!r.ok) return toastError(`jobs/list failed: ${r.error}`);
+    setJobs(r.data?.jobs || []);
+  };
+
+  useEffect(() => { load(); }, [reloadKey]);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (jobs || [])
+      .filter(j => !statusFilter || j.status === statusFilter)
+      .filter(j => !q || [j.id, j.job_type, jobSummary(j.inputs)].join(" ").toLowerCase().includes(q))
+      .sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")));
+  }, [jobs, query, statusFilter]);
+
+  return (
+    <div className="glass-panel p-6 rounded-2xl mb-8">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <div className="text-lg font-bold">My Jobs</div>
+        <div className="text-xs text-slate-400">{visible.length} of {(jobs || []).length}</div>
+        <button className="icon-btn ml-auto" onClick={load} disabled={loading} title="Reload">
+          <Icon name="refresh" size={18}/>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <input
+          value={query}
+          onChange={(e)=>setQuery(e.target.value)}
+          placeholder="Search by job id, type or inputs"
+          className="md:col-span-2 bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
+        />
+        <select
+          value={statusFilter}
+          onChange={(e)=>setStatusFilter(e.target.value)}
+          className="bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500"
+        >
+          <option value="">All statuses</option>
+          {JOB_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+
+      <div className="max-h-[320px] overflow-auto custom-scroll space-y-2">
+        {loading && <div className="text-xs text-slate-400">Loading…</div>}
+        {!loading && visible.length === 0 && (
+          <div className="text-xs text-slate-400">No jobs yet.</div>
+        )}
+        {visible.map(j => {
+          const id = j.id || j.job_id;
+          const active = id === activeJobId;
+          return (
+            <Link
+              key={id}
+              to={`/jobs/${encodeURIComponent(id)}`}
+              className={`block bg-slate-800/40 border rounded-xl p-3 hover:bg-slate-800/70 ${active ? "border-indigo-500/50" : "border-white/5"}`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-xs font-mono text-slate-200">{id}</div>
+                <StatusPill status={j.status} />
+              </div>
+              <div className="text-xs text-slate-400">{j.job_type} • {fmtDate(j.created_at)}</div>
+              {jobSummary(j.inputs) && <div className="text-sm truncate">{jobSummary(j.inputs)}</div>}
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/* =========================
+Markdown (marked + DOMPurify from index.html)
+Model output is untrusted: raw HTML in it is shown as text, and the rendered HTML is sanitized.
+========================= */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+let markdownReady = false;
+function setupMarkdown() {
+  if (markdownReady) return true;
+  if (!window.marked || !window.DOMPurify) return false;
+  marked.use({ gfm: true, breaks: true, renderer: { html: ({ text }) => escapeHtml(text) } });
+  DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+    if (node.tagName === "A") {
+      node.setAttribute("target", "_blank");
+      node.setAttribute("rel", "noopener noreferrer");
+    }
+  });
+  markdownReady = true;
+  return true;
+}
+
+// null when the libraries didn't load: callers fall back to plain text
+function renderMarkdown(text) {
+  if (!setupMarkdown()) return null;
+  return DOMPurify.sanitize(marked.parse(String(text || "")), {
+    FORBID_TAGS: ["style", "img", "iframe", "form", "input", "button", "svg", "math"],
+    FORBID_ATTR: ["style"],
+  });
+}
+
+const Markdown = ({ text }) => {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  if (html === null) return <div className="whitespace-pre-wrap">{text}</div>;
+  return <div className="md" dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+async function copyText(text, html) {
+  // rich copy keeps tables/lists when pasting into Word or PowerPoint
+  if (html && window.ClipboardItem && navigator.clipboard?.write) {
+    await navigator.clipboard.write([new ClipboardItem({
+      "text/plain": new Blob([text], { type: "text/plain" }),
+      "text/html": new Blob([html], { type: "text/html" }),
+    })]);
+    return;
+  }
+  await navigator.clipboard.writeText(text);
+}
+
+/* =========================
+Transcript export (.md, .docx via the docx library)
+========================= */
+function transcriptToMarkdown(title, msgs) {
+  const parts = [`# ${title}`, `_Exported ${new Date().toLocaleString()}_`];
+  conversationMsgs(msgs).forEach(m => {
+    parts.push(`## ${m.role === "user" ? "You" : "Advisor"}`);
+    parts.push(String(m.text).trim());
+  });
+  return parts.join("\n\n") + "\n";
+}
+
+function markdownToDocx(d, text) {
+  const runs = (tokens, style = {}) => (tokens || []).flatMap(t => {
+    switch (t.type) {
+      case "strong": return runs(t.tokens, { ...style, bold: true });
+      case "em": return runs(t.tokens, { ...style, italics: true });
+      case "del": return runs(t.tokens, { ...style, strike: true });
+      case "codespan": return [new d.TextRun({ ...style, text: t.text, font: "Consolas" })];
+      case "br": return [new d.TextRun({ ...style, text: "", break: 1 })];
+      case "link": return [new d.ExternalHyperlink({ link: t.href, children: runs(t.tokens, { ...style, style: "Hyperlink" }) })];
+      default: return t.tokens ? runs(t.tokens, style) : [new d.TextRun({ ...style, text: t.text || "" })];
+    }
+  });
+
+  const HEADINGS = [d.HeadingLevel.HEADING_1, d.HeadingLevel.HEADING_2, d.HeadingLevel.HEADING_3, d.HeadingLevel.HEADING_4];
+  let listInstance = 0;
+
+  const blocks = (tokens, level = 0) => (tokens || []).flatMap(t => {
+    switch (t.type) {
+      case "heading":
+        return [new d.Paragraph({ heading: HEADINGS[Math.min(t.depth, 4) - 1], children: runs(t.tokens) })];
+      case "paragraph":
+      case "text":
+        return [new d.Paragraph({ children: runs(t.tokens || [t]), indent: level ? { left: 360 * level } : undefined })];
+      case "list": {
+        const instance = ++listInstance;
+        return t.items.flatMap(item => {
+          const [first, ...rest] = item.tokens || [];
+          const para = new d.Paragraph({
+            children: runs(first?.tokens || (first ? [first] : [])),
+            ...(t.ordered ? { numbering: { reference: "ordered", level, instance } } : { bullet: { level } }),
+          });
+          return [para, ...blocks(rest, level + 1)];
+        });
+      }
+      case "code":
+        return String(t.text).split("\n").map(line =>
+          new d.Paragraph({ children: [new d.TextRun({ text: line, font: "Consolas", size: 18 })] }));
+      case "blockquote":
+        return blocks(t.tokens, level + 1);
+      case "table": {
+        const row = (cells, bold) => new d.TableRow({
+          children: cells.map(c => new d.TableCell({ children: [new d.Paragraph({ children: runs(c.tokens, bold ? { bold: true } : {}) })] })),
+        });
+        return [
+          new d.Table({ width: { size: 100, type: d.WidthType.PERCENTAGE }, rows: [row(t.header, true), ...t.rows.map(r => row(r, false))] }),
+          new d.Paragraph({ text: "" }),
+        ];
+      }
+      case "hr":
+        return [new d.Paragraph({ thematicBreak: true })];
+      default:
+        return [];
+    }
+  });
+
+  return blocks(window.marked ? marked.lexer(String(text || "")) : [{ type: "text", text: String(text || "") }]);
+}
+
+async function transcriptToDocx(title, msgs) {
+  const d = await loadGlobal(CDN.docx, "docx");
+  const children = [new d.Paragraph({ heading: d.HeadingLevel.TITLE, text: title })];
+  conversationMsgs(msgs).forEach(m => {
+    children.push(new d.Paragraph({ heading: d.HeadingLevel.HEADING_2, text: m.role === "user" ? "You" : "Advisor" }));
+    if (m.role === "user") children.push(new d.Paragraph({ children: [new d.TextRun(String(m.text))] }));
+    else children.push(...markdownToDocx(d, m.text));
+  });
+  const doc = new d.Document({
+    creator: window.ST?.BRAND || "StrategyThrust",
+    title,
+    numbering: {
+      config: [{
+        reference: "ordered",
+        levels: [0, 1, 2, 3].map(level => ({
+          level,
+          format: d.LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: d.AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections: [{ children }],
+  });
+  return d.Packer.toBlob(doc);
+}
+
+const MessageActions = ({ text }) => {
+  const [copied, setCopied] = useState(null);
+  const copy = async (kind) => {
+    try {
+      await copyText(text, kind === "formatted" ? renderMarkdown(text) : null);
+      setCopied(kind);
+      setTimeout(() => setCopied(null), 1500);
+    } catch { setCopied("failed"); }
+  };
+  return (
+    <div className="mt-1 flex gap-3 text-[10px] text-slate-500">
+      <button onClick={() => copy("text")} className="hover:text-white">{copied === "text" ? "Copied" : "Copy"}</button>
+      <button onClick={() => copy("formatted")} className="hover:text-white">{copied === "formatted" ? "Copied" : "Copy formatted"}</button>
+      {copied === "failed" && <span className="text-red-300">Copy blocked by the browser</span>}
+    </div>
+  );
+};
+
+/* =========================
+Advisor Chat Dock (backend /chat expects {data:{messages:[{role,content}]}})
+With Accept: text/event-stream the backend streams frames { delta } ... [DONE];
+older backends ignore it and answer { reply } as JSON.
+========================= */
+const newMsgId = () => `m_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/* =========================
+Advisor threads (IndexedDB, optionally mirrored to /chat/threads)
+========================= */
+const CHAT_GREETING = "Hi — I’m your Advisor. Ask me anything about your analysis, assumptions, or next steps.";
+const DEFAULT_THREAD_TITLE = "New thread";
+
+function newThread(email) {
+  const now = new Date().toISOString();
+  return {
+    id: `t_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    email,
+    title: DEFAULT_THREAD_TITLE,
+    msgs: [{ id: newMsgId(), role: "assistant", text: CHAT_GREETING, greeting: true }],
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+const byUpdatedDesc = (a, b) => String(b.updated_at || "").localeCompare(String(a.updated_at || ""));
+
+// threads are per account: several people may share a browser
+async function loadThreads(email) {
+  return (await idbAll("chatThreads")).filter(t => t.email === email).sort(byUpdatedDesc);
+}
+
+// newer updated_at wins per thread id
+function mergeThreads(local, remote, email) {
+  const map = new Map(local.map(t => [t.id, t]));
+  (remote || []).forEach(r => {
+    const cur = map.get(r.id);
+    if (!cur || String(r.updated_at || "") > String(cur.updated_at || "")) map.set(r.id, { ...r, email });
+  });
+  return [...map.values()].sort(byUpdatedDesc);
+}
+
+// streaming flags are UI state, not conversation
+function threadForStorage(t) {
+  return { ...t, msgs: (t.msgs || []).map(({ streaming, ...m }) => m) };
+}
+
+async function chatThreadsPull({ token }) {
+  return apiFetch(ROUTES.chatThreads, { method:"GET", token });
+}
+async function chatThreadPush({ token, thread }) {
+  const data = threadForStorage(thread);
+  delete data.email; // the backend owns the thread by session
+  return apiFetch(ROUTES.chatThreads, { method:"POST", token, body: { data: { thread: data } } });
+}
+async function chatThreadDelete({ token, id }) {
+  return apiFetch(ROUTES.chatThreadsDelete, { method:"POST", token, body: { data: { id } } });
+}
+
+const CHAT_SYNC_RETRY_MS = 30000;
+
+// retries the deletes the backend hasn't confirmed (kept in localStorage so a reload can't resurrect them); returns the first error
+async function flushChatDeletes(token) {
+  let error = null;
+  for (const id of loadChatDeletes()) {
+    const r = await chatThreadDelete({ token, id });
+    // 404: already gone
+    if (r.ok || r.status === 404) saveChatDeletes(loadChatDeletes().filter(x => x !== id));
+    else error = error || r.error;
+  }
+  return error;
+}
+
+/* =========================
+Advisor job context: ground answers in the open deliverable
+payload data.context = { job_id, job_type, status, inputs?, uploads?, include_report? };
+replies may carry citations:[{ label, source: inputs|upload|report, ref }]
+========================= */
+const CONTEXT_SOURCES = [
+  { key: "inputs", label: "Job inputs" },
+  { key: "uploads", label: "Uploaded files" },
+  { key: "report", label: "Delivered report" },
+];
+
+function availableSources(job) {
+  if (!job?.id) return [];
+  return CONTEXT_SOURCES.filter(x =>
+    x.key === "inputs" ||
+    (x.key === "uploads" && (job.uploads || []).length > 0) ||
+    (x.key === "report" && job.status === "delivered"));
+}
 
-              <button
-                disabled={busy || !jobId}
-                onClick={onSubmit}
-                className="ml-auto px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-500 font-bold disabled:opacity-50"
-              >
-                Submit for approval
-              </button>
-            </div>
-          </div>
+function buildChatContext(job, attach) {
+  const keys = availableSources(job).map(x => x.key).filter(k => attach[k]);
+  if (!keys.length) return null;
+  return {
+    job_id: job.id,
+    job_type: job.job_type,
+    status: job.status,
+    ...(keys.includes("inputs") ? { inputs: job.inputs || {} } : {}),
+    ...(keys.includes("uploads") ? { uploads: (job.uploads || []).map(f => ({ file_set: f.file_set, filename: f.filename, key: f.key })) } : {}),
+    ...(keys.includes("report") ? { include_report: true } : {}),
+    cite_sources: true,
+  };
+}
 
-          <div className="bg-slate-900/40 border border-white/10 rounded-2xl p-4">
-            <div className="text-sm font-bold mb-2">Uploaded files</div>
-            <div className="text-xs text-slate-400 mb-3">Stored in R2 under your job.</div>
+const Citations = ({ items }) => (
+  <div className="mt-2 flex flex-wrap gap-1">
+    {items.map((c, i) => (
+      <span
+        key={i}
+        title={[c.source, c.ref].filter(Boolean).join(" • ")}
+        className="text-[10px] px-2 py-0.5 rounded-full bg-indigo-600/20 border border-indigo-500/20 text-indigo-200"
+      >
+        [{i + 1}] {c.label || c.ref || c.source}
+      </span>
+    ))}
+  </div>
+);
 
-            <div className="h-[260px] overflow-auto custom-scroll space-y-2">
-              {(uploads || []).length === 0 ? (
-                <div className="text-xs text-slate-400">No uploads yet.</div>
-              ) : (
-                uploads.map((f, i) => (
-                  <div key={i} className="bg-slate-800/40 border border-white/5 rounded-xl p-3">
-                    <div className="flex items-center justify-between gap-2">
-                      <div className="text-xs font-mono text-slate-300">{f.file_set}</div>
-                      <div className="text-[10px] text-slate-500">{f.size ? `${Math.round(f.size/1024)} KB` : ""}</div>
-                    </div>
-                    <div className="text-sm font-semibold truncate">{f.filename}</div>
-                    <div className="text-[10px] text-slate-500 truncate">{f.key}</div>
-                  </div>
-                ))
-              )}
-            </div>
+/* =========================
+Advisor context window
+Only real turns are sent (no greeting, no error bubbles). Past CHAT_TOKEN_BUDGET the
+oldest turns are dropped and replaced by a summary cached on the thread as
+summary = { text, through: <last summarized msg id> }.
+========================= */
+const CHAT_TOKEN_BUDGET = 6000;
+const CHAT_SUMMARY_TOKENS = 500; // room kept for the summary once trimming starts
+const CHAT_SUMMARY_PROMPT = "Summarize the conversation so far in under 250 words. Keep decisions, figures, assumptions and open questions. Reply with the summary only.";
 
-            <div className="mt-3 text-xs text-slate-400">
-              Download available when status becomes <span className="text-emerald-300 font-bold">delivered</span>.
-            </div>
+// rough: ~4 characters per token for English, plus per-message framing
+const estimateTokens = (s) => Math.ceil(String(s || "").length / 4);
+const msgTokens = (m) => estimateTokens(m.text) + 4;
+
+// older threads only have the "(Error)" prefix, newer ones the flag
+function isErrorMsg(m) {
+  return !!m.error || String(m.text || "").startsWith("(Error)");
+}
+
+function conversationMsgs(msgs) {
+  return (msgs || []).filter(m => !m.greeting && !m.streaming && m.text && !isErrorMsg(m));
+}
+
+const toChatMessage = (m) => ({ role: m.role === "assistant" ? "assistant" : "user", content: m.text });
+
+// reserve = tokens already spent on the new question and the job context
+function planChatHistory(msgs, summary, reserve = 0) {
+  const conv = conversationMsgs(msgs);
+  const total = conv.reduce((n, m) => n + msgTokens(m), 0);
+  if (total + reserve <= CHAT_TOKEN_BUDGET) {
+    return { keep: conv, dropped: [], stale: [], summary: null, tokens: total + reserve, count: conv.length };
+  }
+
+  let room = CHAT_TOKEN_BUDGET - reserve - CHAT_SUMMARY_TOKENS;
+  let start = conv.length;
+  while (start > 0 && msgTokens(conv[start - 1]) <= room) {
+    room -= msgTokens(conv[start - 1]);
+    start--;
+  }
+  const keep = conv.slice(start);
+  const dropped = conv.slice(0, start);
+
+  // a cached summary still helps if it ends inside the dropped range; anything after it is stale
+  const covered = summary ? dropped.findIndex(m => m.id === summary.through) : -1;
+  const usable = covered >= 0 ? summary : null;
+  const kept = keep.reduce((n, m) => n + msgTokens(m), 0);
+  return {
+    keep,
+    dropped,
+    stale: dropped.slice(covered + 1),
+    summary: usable,
+    tokens: kept + reserve + (usable ? estimateTokens(usable.text) : 0),
+    count: conv.length,
+  };
+}
+
+function summaryMessage(summary) {
+  return { role: "user", content: `Summary of our earlier conversation:\n${summary.text}` };
+}
+
+// folds the stale turns into the previous summary; null when the backend can't help
+async function summarizeTurns({ token, previous, msgs, signal }) {
+  let room = CHAT_TOKEN_BUDGET - (previous ? estimateTokens(previous.text) : 0);
+  const recent = [];
+  for (let i = msgs.length - 1; i >= 0 && msgTokens(msgs[i]) <= room; i--) {
+    room -= msgTokens(msgs[i]);
+    recent.unshift(msgs[i]);
+  }
+  const r = await apiFetch(ROUTES.chat, {
+    method: "POST",
+    token,
+    signal,
+    body: {
+      data: {
+        purpose: "summarize",
+        messages: [
+          ...(previous ? [summaryMessage(previous)] : []),
+          ...recent.map(toChatMessage),
+          { role: "user", content: CHAT_SUMMARY_PROMPT },
+        ],
+      },
+    },
+  });
+  const text = String(r.data?.reply || "").trim();
+  if (!r.ok || !text) return null;
+  return { text, through: msgs[msgs.length - 1].id };
+}
+
+const ContextMeter = ({ plan }) => {
+  const pct = Math.min(100, Math.round((plan.tokens / CHAT_TOKEN_BUDGET) * 100));
+  const trimmed = plan.dropped.length > 0;
+  const sent = plan.keep.length;
+  return (
+    <div className="px-3 pt-2 text-[10px] text-slate-400" title="Estimated size of what is sent with your next message">
+      <div className="flex justify-between gap-2">
+        <span>Context ≈ {(plan.tokens / 1000).toFixed(1)}k / {CHAT_TOKEN_BUDGET / 1000}k tokens</span>
+        <span className={trimmed ? "text-amber-300" : ""}>
+          {trimmed
+            ? `last ${sent} of ${plan.count} messages${plan.summary || plan.stale.length ? " + summary" : ""}`
+            : `${plan.count} messages`}
+        </span>
+      </div>
+      <div className="mt-1 h-1 rounded-full bg-white/5 overflow-hidden">
+        <div className={`h-full ${trimmed ? "bg-amber-400/70" : "bg-indigo-500/70"}`} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const ThreadList = ({ threads, activeId, onSelect, onCreate, onRename, onDelete, sync, onToggleSync, syncError, onRetrySync }) => {
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // { id, title }
+  const [confirmId, setConfirmId] = useState(null);
+
+  const q = query.trim().toLowerCase();
+  const visible = threads.filter(t => !q
+    || (t.title || "").toLowerCase().includes(q)
+    || (t.msgs || []).some(m => !m.greeting && String(m.text || "").toLowerCase().includes(q)));
+
+  const commit = () => {
+    if (editing?.title.trim()) onRename(editing.id, editing.title.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex gap-2 mb-2">
+        <input
+          value={query}
+          onChange={(e)=>setQuery(e.target.value)}
+          placeholder="Search threads…"
+          className="flex-1 bg-slate-900/60 border border-white/10 rounded-xl px-3 py-2 text-xs outline-none"
+        />
+        <button onClick={onCreate} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-xs">New</button>
+      </div>
+
+      <div className="flex-1 space-y-1">
+        {visible.length === 0 && <div className="text-xs text-slate-400">No threads found.</div>}
+        {visible.map(t => (
+          <div
+            key={t.id}
+            className={`rounded-xl px-3 py-2 border text-xs cursor-pointer ${t.id === activeId ? "bg-indigo-600/20 border-indigo-500/30" : "bg-slate-800/40 border-white/5 hover:bg-slate-800/70"}`}
+            onClick={() => editing?.id !== t.id && onSelect(t.id)}
+          >
+            {editing?.id === t.id ? (
+              <input
+                autoFocus
+                value={editing.title}
+                onChange={(e)=>setEditing({ ...editing, title: e.target.value })}
+                onBlur={commit}
+                onKeyDown={(e)=>{ if (e.key === "Enter") commit(); if (e.key === "Escape") setEditing(null); }}
+                className="w-full bg-slate-900/60 border border-indigo-500/40 rounded-lg px-2 py-1 outline-none"
+              />
+            ) : (
+              <div className="flex items-center gap-2">
+                <div className="font-semibold truncate flex-1">{t.title || DEFAULT_THREAD_TITLE}</div>
+                <button onClick={(e)=>{ e.stopPropagation(); setEditing({ id: t.id, title: t.title || "" }); }} className="text-slate-400 hover:text-white">Rename</button>
+                {confirmId === t.id ? (
+                  <button onClick={(e)=>{ e.stopPropagation(); setConfirmId(null); onDelete(t.id); }} className="text-red-300 font-bold">Delete?</button>
+                ) : (
+                  <button onClick={(e)=>{ e.stopPropagation(); setConfirmId(t.id); }} className="text-slate-400 hover:text-red-300">
+                    <Icon name="x" size={12}/>
+                  </button>
+                )}
+              </div>
+            )}
+            <div className="text-[10px] text-slate-500">{fmtDate(t.updated_at)} • {(t.msgs || []).filter(m => !m.greeting).length} messages</div>
           </div>
+        ))}
+      </div>
+
+      <label className="mt-2 text-[10px] text-slate-400 flex items-center gap-2">
+        <input type="checkbox" checked={sync} onChange={(e)=>onToggleSync(e.target.checked)} />
+        Sync threads to my account (otherwise they stay in this browser)
+      </label>
+      {sync && syncError && (
+        <div className="mt-1 text-[10px] text-amber-300 flex items-center gap-2">
+          <span className="flex-1">Sync failed: {String(syncError)}. Changes are kept here and retried.</span>
+          <button onClick={onRetrySync} className="underline hover:text-white">Retry now</button>
         </div>
       )}
     </div>
   );
 };
-/* =========================
-Advisor Chat Dock (backend /chat expects {data:{messages:[{role,content}]}})
-========================= */
-const AdvisorChatDock = ({ session, toastError }) => {
+
+const AdvisorChatDock = ({ session, toastError, jobContext, usage, onUsageChange }) => {
   const token = session?.session_token || loadSessionToken() || null;
   const access = session?.access;
-  const g = featureGate(access);
+  const email = session?.email || "";
 
   const [open, setOpen] = useState(false);
-  const [msgs, setMsgs] = useState([
-    { role:"assistant", text:"Hi — I’m your Advisor. Ask me anything about your analysis, assumptions, or next steps." }
-  ]);
+  const [view, setView] = useState("chat"); // chat | threads
+  const [threads, setThreads] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [sync, setSync] = useState(loadChatSync);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
   const bodyRef = useRef(null);
+  const abortRef = useRef(null);
+  const savedRef = useRef({}); // thread id -> updated_at last written locally
+  const syncedRef = useRef({}); // thread id -> updated_at the backend confirmed
+  const pushingRef = useRef({}); // thread id -> updated_at being pushed
+  const [syncError, setSyncError] = useState(null);
+  const [syncRetry, setSyncRetry] = useState(0);
+  const [attach, setAttach] = useState({ inputs: true, uploads: true, report: true });
+  const [useJob, setUseJob] = useState(true);
+  const sources = availableSources(jobContext);
+  const context = useJob ? buildChatContext(jobContext, attach) : null;
+
+  const active = threads.find(t => t.id === activeId) || null;
+  const msgs = active?.msgs || [];
+  const contextTokens = context ? estimateTokens(JSON.stringify(context)) : 0;
+  const plan = useMemo(
+    () => planChatHistory(msgs, active?.summary, estimateTokens(input) + 4 + contextTokens),
+    [msgs, active?.summary, input, contextTokens]
+  );
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // load local threads, then merge the backend copy when sync is on
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      let list = await loadThreads(email);
+      if (sync && token) {
+        const r = await chatThreadsPull({ token });
+        if (r.ok) {
+          // threads deleted here stay deleted even if the backend hasn't caught up yet
+          const deleted = loadChatDeletes();
+          const remote = (r.data?.threads || []).filter(t => !deleted.includes(t.id));
+          remote.forEach(t => { syncedRef.current[t.id] = t.updated_at; });
+          list = mergeThreads(list, remote, email);
+        } else {
+          // nothing counts as synced yet, so the push below retries every local thread
+          setSyncError(r.error);
+        }
+      }
+      if (cancelled) return;
+      if (!list.length) list = [newThread(email)];
+      list.forEach(t => { savedRef.current[t.id] = t.updated_at; });
+      setThreads(list);
+      setActiveId(id => list.some(t => t.id === id) ? id : list[0].id);
+    })();
+    return () => { cancelled = true; };
+  }, [email, sync, token]);
+
+  // persist changed threads; debounced so a streaming reply isn't written per token.
+  // A thread only counts as synced once the backend accepted it, so failed pushes go again.
+  useEffect(() => {
+    const t = setTimeout(async () => {
+      const push = [];
+      threads.forEach(th => {
+        if ((th.msgs || []).some(m => m.streaming)) return;
+        if (savedRef.current[th.id] !== th.updated_at) {
+          savedRef.current[th.id] = th.updated_at;
+          idbPut("chatThreads", threadForStorage(th));
+        }
+        if (sync && token && syncedRef.current[th.id] !== th.updated_at && pushingRef.current[th.id] !== th.updated_at) push.push(th);
+      });
+      if (!sync || !token) return;
+
+      let error = await flushChatDeletes(token);
+      const results = await Promise.all(push.map(th => {
+        pushingRef.current[th.id] = th.updated_at;
+        return chatThreadPush({ token, thread: th });
+      }));
+      results.forEach((r, i) => {
+        const th = push[i];
+        if (pushingRef.current[th.id] === th.updated_at) delete pushingRef.current[th.id];
+        if (r.ok) syncedRef.current[th.id] = th.updated_at;
+        else error = error || r.error;
+      });
+      setSyncError(error);
+    }, 400);
+    return () => clearTimeout(t);
+  }, [threads, syncRetry]);
+
+  useEffect(() => {
+    if (!sync) setSyncError(null);
+  }, [sync]);
+
+  // keep retrying while the backend is unreachable
+  useEffect(() => {
+    if (!syncError) return;
+    const t = setTimeout(() => setSyncRetry(n => n + 1), CHAT_SYNC_RETRY_MS);
+    return () => clearTimeout(t);
+  }, [syncError, syncRetry]);
 
   useEffect(() => {
     if (bodyRef.current) bodyRef.current.scrollTop = bodyRef.current.scrollHeight;
-  }, [msgs, open, loading]);
+  }, [msgs, open, loading, view]);
+
+  const updateThread = (id, fn) => setThreads(list => list.map(t =>
+    t.id === id ? { ...t, ...fn(t), updated_at: new Date().toISOString() } : t
+  ).sort(byUpdatedDesc));
+  const setThreadMsgs = (id, fn) => updateThread(id, t => ({ msgs: fn(t.msgs || []) }));
+
+  const createThread = () => {
+    const t = newThread(email);
+    setThreads(list => [t, ...list]);
+    setActiveId(t.id);
+    setView("chat");
+  };
+
+  const renameThread = (id, title) => updateThread(id, () => ({ title }));
+
+  const deleteThread = async (id) => {
+    delete savedRef.current[id];
+    delete syncedRef.current[id];
+    await idbDelete("chatThreads", id);
+    if (sync && token) {
+      saveChatDeletes([...new Set([...loadChatDeletes(), id])]);
+      const error = await flushChatDeletes(token);
+      if (error) {
+        setSyncError(error);
+        toastError("Thread deleted here, but not yet from your account. It will be retried.");
+      }
+    }
+    const rest = threads.filter(t => t.id !== id);
+    if (!rest.length) rest.push(newThread(email));
+    setThreads(rest);
+    if (id === activeId) setActiveId(rest[0].id);
+  };
+
+  const toggleSync = (v) => { saveChatSync(v); setSync(v); };
+
+  const [exportOpen, setExportOpen] = useState(false);
+  const exportThread = async (kind) => {
+    setExportOpen(false);
+    if (!active || !conversationMsgs(active.msgs).length) return toastError("Nothing to export yet.");
+    const title = active.title || "Advisor conversation";
+    const name = safeFilename(title, "advisor");
+    try {
+      if (kind === "md") saveBlob(new Blob([transcriptToMarkdown(title, active.msgs)], { type: "text/markdown" }), `${name}.md`);
+      else saveBlob(await transcriptToDocx(title, active.msgs), `${name}.docx`);
+    } catch (e) {
+      toastError(`Export failed: ${e?.message || e}`);
+    }
+  };
 
   const send = async () => {
     const text = input.trim();
-    if (!text) return;
+    if (!text || loading || !active) return;
 
-    if (!g.advisor_chatbot && !g.is_admin) {
-      toastError("Advisor Chatbot is not included in your tier.");
+    // the input and Send only render inside the advisor_chatbot FeatureGate
+    if (quotaState(usage, "chat_messages")?.over) {
+      toastError("Chat message quota used up for this period. Upgrade your plan to keep asking.");
       return;
     }
     if (!token) {
@@ -698,167 +3585,1190 @@ const AdvisorChatDock = ({ session, toastError }) => {
       return;
     }
 
+    // the reply belongs to the thread it was asked in, even if the user switches away
+    const threadId = active.id;
+    const replyId = newMsgId();
+    const patchReply = (fn) => setThreadMsgs(threadId, m => m.map(x => x.id === replyId ? { ...x, ...fn(x) } : x));
+
     setInput("");
-    setMsgs(m => [...m, { role:"user", text }]);
+    const attached = context ? { job_id: context.job_id, sources: sources.filter(x => attach[x.key]).map(x => x.label) } : null;
+    setThreadMsgs(threadId, m => [...m, { id: newMsgId(), role:"user", text, attached }, { id: replyId, role:"assistant", text:"", streaming: true }]);
+    if (active.title === DEFAULT_THREAD_TITLE) renameThread(threadId, text.length > 40 ? `${text.slice(0, 40)}…` : text);
     setLoading(true);
+    // Stop covers the summary request too, not just the streamed reply
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    const history = planChatHistory(msgs, active.summary, estimateTokens(text) + 4 + contextTokens);
+    let summary = history.summary;
+    if (history.stale.length) {
+      // refresh the summary once per overflow; if it fails the old turns are simply left out
+      const next = await summarizeTurns({ token, previous: summary, msgs: history.stale, signal: ctrl.signal });
+      if (ctrl.signal.aborted) {
+        abortRef.current = null;
+        setLoading(false);
+        patchReply(() => ({ streaming: false, stopped: true }));
+        return;
+      }
+      if (next) {
+        summary = next;
+        updateThread(threadId, () => ({ summary: next }));
+      }
+    }
 
     // backend handleChat expects body: { data:{ messages:[{role,content}] } }
     const payload = {
       data: {
+        stream: true,
+        ...(context ? { context } : {}),
         messages: [
-          ...msgs.map(m => ({ role: m.role === "assistant" ? "assistant" : "user", content: m.text })),
+          ...(summary ? [summaryMessage(summary)] : []),
+          ...history.keep.map(toChatMessage),
           { role: "user", content: text }
         ]
       }
     };
 
-    const r = await apiFetch(ROUTES.chat, { method:"POST", token, body: payload, timeoutMs: 45000 });
-    setLoading(false);
+    let streamError = null;
+    const r = await apiStream(ROUTES.chat, {
+      token,
+      body: payload,
+      signal: ctrl.signal,
+      onEvent: ({ event, data }) => {
+        if (data === "[DONE]") return;
+        if (event === "error") { streamError = data?.error || String(data); return; }
+        if (data?.citations) patchReply(() => ({ citations: data.citations }));
+        const delta = typeof data === "string" ? data : (data?.delta ?? data?.reply ?? "");
+        if (delta) patchReply(x => ({ text: x.text + delta }));
+      },
+    });
+    abortRef.current = null;
+    setLoading(false);
+    onUsageChange?.();
+
+    const stopped = ctrl.signal.aborted;
+    const error = !r.ok && !stopped ? r.error : streamError;
+    if (error) {
+      // keep whatever streamed before the failure, flag the rest
+      patchReply(x => ({ streaming: false, error: true, text: x.text ? `${x.text}\n\n(Error) ${error}` : `(Error) ${error}` }));
+      return;
+    }
+    if (r.ok && !r.streamed) {
+      patchReply(() => ({ streaming: false, text: String(r.data?.reply || "No reply."), citations: r.data?.citations || null }));
+      return;
+    }
+    patchReply(x => ({ streaming: false, stopped, text: x.text || (stopped ? "" : "No reply.") }));
+  };
+
+  const stop = () => abortRef.current?.abort();
+
+  return (
+    <div className="chat-dock">
+      {open && (
+        <div className="chat-panel mb-3">
+          <div className="chat-header">
+            <div className="flex items-center gap-2">
+              <div className="w-8 h-8 rounded-xl bg-indigo-600/40 border border-indigo-500/20 flex items-center justify-center">
+                <Icon name="chat" size={16}/>
+              </div>
+              <div className="min-w-0">
+                <div className="text-sm font-bold">Advisor Chatbot</div>
+                <div className="text-[10px] text-slate-400 truncate max-w-[170px]">
+                  <FeatureGate access={access} feature="advisor_chatbot" fallback="Not in tier">{active?.title || "Enabled"}</FeatureGate>
+                </div>
+              </div>
+            </div>
+            <div className="flex items-center gap-2 relative">
+              <button className="icon-btn" onClick={()=>setExportOpen(o => !o)} title="Export conversation">
+                <Icon name="download" size={18}/>
+              </button>
+              {exportOpen && (
+                <div className="absolute right-0 top-11 z-10 w-44 rounded-xl bg-slate-900 border border-white/10 shadow-2xl p-1 text-xs">
+                  <button onClick={()=>exportThread("md")} className="w-full text-left px-3 py-2 rounded-lg hover:bg-white/10">Markdown (.md)</button>
+                  <button onClick={()=>exportThread("docx")} className="w-full text-left px-3 py-2 rounded-lg hover:bg-white/10">Word (.docx)</button>
+                </div>
+              )}
+              <button
+                className={`icon-btn ${view === "threads" ? "bg-white/10" : ""}`}
+                onClick={()=>setView(v => v === "threads" ? "chat" : "threads")}
+                title="Threads"
+              >
+                <Icon name="list" size={18}/>
+              </button>
+              <button className="icon-btn" onClick={()=>setOpen(false)} title="Close">
+                <Icon name="x" size={18}/>
+              </button>
+            </div>
+          </div>
+
+          {view === "threads" ? (
+            <div className="chat-body custom-scroll">
+              <ThreadList
+                threads={threads}
+                activeId={activeId}
+                onSelect={(id) => { setActiveId(id); setView("chat"); }}
+                onCreate={createThread}
+                onRename={renameThread}
+                onDelete={deleteThread}
+                sync={sync}
+                onToggleSync={toggleSync}
+                syncError={syncError}
+                onRetrySync={() => setSyncRetry(n => n + 1)}
+              />
+            </div>
+          ) : (
+            <div className="chat-body custom-scroll" ref={bodyRef}>
+              {msgs.map((m, i) => (m.streaming && !m.text) ? (
+                <div key={m.id || i} className="msg msg-bot mr-10">(thinking...)</div>
+              ) : (
+                <div key={m.id || i} className={`msg ${m.role === "user" ? "msg-user ml-10 whitespace-pre-wrap" : "msg-bot mr-10"}`}>
+                  {m.role === "user" ? m.text : <Markdown text={m.text} />}
+                  {m.streaming && <span className="animate-pulse">▍</span>}
+                  {m.stopped && <div className="text-[10px] text-slate-500 mt-1">(stopped)</div>}
+                  {m.attached && (
+                    <div className="text-[10px] text-slate-400 mt-1">📎 {m.attached.job_id}: {m.attached.sources.join(", ")}</div>
+                  )}
+                  {(m.citations || []).length > 0 && <Citations items={m.citations} />}
+                  {m.role === "assistant" && !m.streaming && !m.greeting && m.text && <MessageActions text={m.text} />}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {view === "chat" && sources.length > 0 && (
+            <div className="px-3 pt-2 flex flex-wrap items-center gap-1 text-[10px] border-t border-white/5">
+              <button
+                onClick={()=>setUseJob(v => !v)}
+                className={`px-2 py-0.5 rounded-full border font-mono ${useJob ? "border-indigo-500/40 text-indigo-200" : "border-white/10 text-slate-500 line-through"}`}
+                title={useJob ? "Answers use this job. Click to detach." : "Click to ground answers in this job."}
+              >
+                📎 {jobContext.id}
+              </button>
+              {useJob && sources.map(x => (
+                <button
+                  key={x.key}
+                  onClick={()=>setAttach(a => ({ ...a, [x.key]: !a[x.key] }))}
+                  className={`px-2 py-0.5 rounded-full border ${attach[x.key] ? "bg-indigo-600/20 border-indigo-500/30 text-indigo-100" : "border-white/10 text-slate-500"}`}
+                >
+                  {x.label}{x.key === "uploads" ? ` (${jobContext.uploads.length})` : ""}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {view === "chat" && plan.count > 0 && <ContextMeter plan={plan} />}
+          {view === "chat" && <QuotaNotice usage={usage} meter="chat_messages" action="new questions" className="px-3 pt-2 text-[11px]" />}
+
+          <FeatureGate access={access} feature="advisor_chatbot" fallback={<UpgradeNote feature="advisor_chatbot" access={access} className="chat-input" />}>
+            <div className="chat-input">
+              <input
+                value={input}
+                onChange={(e)=>setInput(e.target.value)}
+                placeholder="Ask your advisor..."
+                className="flex-1 bg-slate-900/60 border border-white/10 rounded-xl px-3 py-2 text-sm outline-none"
+                onKeyDown={(e)=>{ if(e.key==="Enter") send(); }}
+              />
+              {loading ? (
+                <button onClick={stop} className="px-3 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 font-bold text-sm" title="Stop generating">
+                  Stop
+                </button>
+              ) : (
+                <button onClick={send} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm">
+                  Send
+                </button>
+              )}
+            </div>
+          </FeatureGate>
+        </div>
+      )}
+
+      <div className="chat-bubble" onClick={()=>setOpen(o=>!o)} title="Advisor Chatbot">
+        <Icon name="chat" size={22}/>
+      </div>
+    </div>
+  );
+};
+
+/* =========================
+Admin API helpers
+========================= */
+const ADMIN_PAGE_SIZE = 25;
+
+async function adminListJobs({ token, filters, page, sort }) {
+  const q = new URLSearchParams();
+  Object.entries(filters || {}).forEach(([k, v]) => { if (v) q.set(k, v); });
+  q.set("page", String(page));
+  q.set("page_size", String(ADMIN_PAGE_SIZE));
+  q.set("sort", sort.key);
+  q.set("order", sort.dir);
+  // backend returns { jobs, total, page, page_size }
+  return apiFetch(`${ROUTES.adminJobs}?${q}`, { method:"GET", token });
+}
+async function adminJobDetail({ token, job_id }) {
+  // backend returns { job, files, history:[{ at, status, event, by, note }] }
+  return apiFetch(`${ROUTES.adminJob}?job_id=${encodeURIComponent(job_id)}`, { method:"GET", token });
+}
+// backend queues the Word generation and answers right away with status "generating"
+async function adminApprove({ token, job_id }) {
+  return apiFetch(ROUTES.adminApprove, { method:"POST", token, body: { data: { job_id } } });
+}
+async function adminRetryGeneration({ token, job_id }) {
+  return apiFetch(ROUTES.adminRetryGeneration, { method:"POST", token, body: { data: { job_id } } });
+}
+// reject closes the job; request-changes sends it back to the owner for fixes + resubmit
+async function adminDecide({ token, job_id, kind, reason }) {
+  const route = kind === "reject" ? ROUTES.adminReject : ROUTES.adminRequestChanges;
+  return apiFetch(route, { method:"POST", token, body: { data: { job_id, reason } } });
+}
+function adminFilePath(job_id, key) {
+  return `${ROUTES.adminFile}?job_id=${encodeURIComponent(job_id)}&key=${encodeURIComponent(key)}`;
+}
+
+/* =========================
+Generation tracking (approved jobs: generating -> delivered | failed)
+========================= */
+const GENERATION_POLL_MS = 4000;
+const GENERATION_POLL_MAX_MS = 60000; // backoff ceiling while /admin/job keeps failing
+const GENERATION_MAX_FAILS = 5;       // failed checks in a row before a job is no longer polled
+const GENERATION_DONE = ["delivered", "failed"];
+
+// job.generation: { progress: 0..1, stage, error }
+function generationOf(job) {
+  const gen = job?.generation || {};
+  return {
+    status: job?.status || "generating",
+    progress: typeof gen.progress === "number" ? gen.progress : null,
+    stage: gen.stage || "",
+    error: gen.error || job?.error || "",
+    updated_at: job?.updated_at || null,
+  };
+}
+
+function useGenerationTracker(token, enabled) {
+  const [items, setItems] = useState({}); // job_id -> generationOf(job) (+ lost, once we gave up polling it)
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const failsRef = useRef({}); // job_id -> failed checks in a row
+
+  const put = (id, v) => setItems(m => ({ ...m, [id]: { ...(m[id] || {}), ...v } }));
+  const polled = (v) => !GENERATION_DONE.includes(v.status) && !v.lost;
+
+  // jobs already generating when the panel opens (approved earlier / by another admin), every page
+  useEffect(() => {
+    if (!enabled || !token) return;
+    let cancelled = false;
+    (async () => {
+      for (let page = 1; ; page++) {
+        const r = await adminListJobs({ token, filters: { status: "generating" }, page, sort: { key: "created_at", dir: "asc" } });
+        if (cancelled || !r.ok) return;
+        const jobs = r.data?.jobs || [];
+        jobs.forEach(j => put(j.id, generationOf(j)));
+        const total = Number(r.data?.total) || 0;
+        if (!jobs.length || page * ADMIN_PAGE_SIZE >= total) return;
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [enabled, token]);
+
+  const active = Object.entries(items).filter(([, v]) => polled(v)).map(([id]) => id);
+  const activeKey = active.join(",");
+
+  // paused while the tab is hidden; slows down while checks fail
+  useEffect(() => {
+    if (!enabled || !token || !active.length) return;
+    let stopped = false;
+    let timer = null;
+    let delay = GENERATION_POLL_MS;
+    let inFlight = false;
+    const schedule = () => {
+      clearTimeout(timer);
+      if (!stopped && !document.hidden) timer = setTimeout(tick, delay);
+    };
+    const tick = async () => {
+      if (inFlight) return;
+      inFlight = true;
+      const ids = Object.entries(itemsRef.current).filter(([, v]) => polled(v)).map(([id]) => id);
+      const results = await Promise.all(ids.map(id => adminJobDetail({ token, job_id: id })));
+      inFlight = false;
+      if (stopped) return;
+      let failed = false;
+      results.forEach((r, i) => {
+        const id = ids[i];
+        if (r.ok && r.data?.job) {
+          failsRef.current[id] = 0;
+          put(id, generationOf(r.data.job));
+          return;
+        }
+        failed = true;
+        failsRef.current[id] = (failsRef.current[id] || 0) + 1;
+        if (failsRef.current[id] >= GENERATION_MAX_FAILS) put(id, { lost: true, error: r.error });
+      });
+      delay = failed ? Math.min(delay * 2, GENERATION_POLL_MAX_MS) : GENERATION_POLL_MS;
+      schedule();
+    };
+    const onVisibility = () => {
+      if (document.hidden) return clearTimeout(timer);
+      delay = GENERATION_POLL_MS;
+      tick();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    schedule();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [enabled, token, activeKey]);
+
+  return {
+    items,
+    track: (id, job) => {
+      failsRef.current[id] = 0;
+      put(id, { ...(job ? generationOf(job) : { status: "generating", progress: null, stage: "queued", error: "" }), lost: false });
+    },
+    resume: (id) => { failsRef.current[id] = 0; put(id, { lost: false }); },
+    dismiss: (id) => setItems(m => { const next = { ...m }; delete next[id]; return next; }),
+  };
+}
+
+const GenerationProgress = ({ gen }) => {
+  const pct = gen.progress === null ? null : Math.round(gen.progress * 100);
+  const bar = gen.status === "failed" ? "bg-red-500" : gen.status === "delivered" ? "bg-emerald-500" : "bg-indigo-500";
+  return (
+    <div className="text-[11px]">
+      <div className="flex items-center gap-2 text-slate-400">
+        <span>{gen.status === "delivered" ? "done" : gen.stage || gen.status}</span>
+        {pct !== null && gen.status === "generating" && <span className="ml-auto">{pct}%</span>}
+      </div>
+      <div className="h-1 mt-1 rounded-full bg-white/10 overflow-hidden">
+        <div
+          className={`h-full ${bar} transition-all ${pct === null && gen.status === "generating" ? "animate-pulse" : ""}`}
+          style={{ width: `${gen.status === "generating" ? (pct ?? 100) : 100}%` }}
+        />
+      </div>
+      {gen.status === "failed" && gen.error && <div className="text-red-300 mt-1 break-words">{String(gen.error)}</div>}
+      {gen.lost && <div className="text-amber-300 mt-1 break-words">Stopped checking: {String(gen.error || "no response")}</div>}
+    </div>
+  );
+};
+
+/* =========================
+Admin job drawer (/admin/jobs/:id)
+========================= */
+// generation: this job's entry in the panel's tracker, fresher than the detail snapshot
+const AdminJobDrawer = ({ token, jobId, generation, onClose, onChanged, onApproved, onRetry, toastError, toastOk }) => {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [reason, setReason] = useState("");
+  const [preview, setPreview] = useState(null);
+  const downloads = useDownloads({ token, toastError });
+
+  const openPreview = async (key, path, filename) => {
+    const r = await downloads.start(key, path, filename, { save: false });
+    if (r?.ok) setPreview({ blob: r.blob, filename: r.filename });
+  };
+
+  const load = async () => {
+    setLoading(true);
+    const r = await adminJobDetail({ token, job_id: jobId });
+    setLoading(false);
+    if (!r.ok) { setDetail(null); return toastError(`admin/job failed: ${r.error}`); }
+    setDetail(r.data || null);
+  };
+
+  useEffect(() => { setReason(""); setPreview(null); load(); }, [jobId]);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const approve = async () => {
+    setBusy(true);
+    const r = await adminApprove({ token, job_id: jobId });
+    setBusy(false);
+    if (!r.ok) return toastError(`admin/approve failed: ${r.error}`);
+    toastOk(`Approved: ${jobId}. Generating report…`);
+    onApproved(jobId);
+    onChanged();
+    load();
+  };
+
+  const retry = async () => {
+    setBusy(true);
+    await onRetry(jobId);
+    setBusy(false);
+    load();
+  };
+
+  const decide = async (kind) => {
+    const note = reason.trim();
+    if (!note) return toastError("Add a reason for the job owner.");
+    setBusy(true);
+    const r = await adminDecide({ token, job_id: jobId, kind, reason: note });
+    setBusy(false);
+    if (!r.ok) return toastError(`admin/${kind === "reject" ? "reject" : "request-changes"} failed: ${r.error}`);
+    toastOk(kind === "reject" ? `Rejected: ${jobId}` : `Changes requested: ${jobId}`);
+    setReason("");
+    onChanged();
+    load();
+  };
+
+  // the tracker saw it finish: reload so the delivered report / failure shows up
+  useEffect(() => {
+    if (generation && GENERATION_DONE.includes(generation.status) && detail?.job && detail.job.status !== generation.status) load();
+  }, [generation?.status]);
+
+  const job = detail?.job || {};
+  const gen = generation && !generation.lost ? generation : generationOf(job);
+  const files = detail?.files || [];
+  const history = detail?.history || [];
+  const reviewable = job.status === "pending_review";
+
+  return (
+    <div className="fixed inset-0 z-[9000] flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      {preview && (
+        <DocxPreview
+          blob={preview.blob}
+          filename={preview.filename}
+          onClose={() => setPreview(null)}
+          onDownload={() => saveBlob(preview.blob, preview.filename)}
+        />
+      )}
+      <div className="relative w-full max-w-xl h-full glass-panel overflow-auto custom-scroll p-6 fade-in">
+        <div className="flex items-center gap-3 mb-4">
+          <div>
+            <div className="text-xs uppercase tracking-widest text-indigo-300 font-bold">Job detail</div>
+            <div className="text-sm font-mono text-slate-200">{jobId}</div>
+          </div>
+          {job.status && <StatusPill status={job.status} />}
+          <button className="icon-btn ml-auto" onClick={onClose} title="Close">
+            <Icon name="x" size={18}/>
+          </button>
+        </div>
+
+        {loading && <div className="text-xs text-slate-400">Loading…</div>}
 
-    if (!r.ok) {
-      setMsgs(m => [...m, { role:"assistant", text:`(Error) ${r.error}` }]);
-      return;
-    }
+        {detail && (
+          <div className="space-y-5">
+            <div className="text-xs text-slate-400">
+              {job.job_type} • {job.email} • {fmtDate(job.created_at)}
+            </div>
 
-    const reply = r.data?.reply || "No reply.";
-    setMsgs(m => [...m, { role:"assistant", text: String(reply) }]);
-  };
+            {["generating", "failed"].includes(gen.status) && (
+              <section className="bg-slate-900/40 border border-white/10 rounded-xl p-3 space-y-2">
+                <div className="text-sm font-bold">Generation</div>
+                <GenerationProgress gen={gen} />
+                {gen.status === "failed" && (
+                  <button
+                    onClick={retry}
+                    disabled={busy}
+                    className="px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm disabled:opacity-50"
+                  >
+                    Retry generation
+                  </button>
+                )}
+              </section>
+            )}
 
-  return (
-    <div className="chat-dock">
-      {open && (
-        <div className="chat-panel mb-3">
-          <div className="chat-header">
-            <div className="flex items-center gap-2">
-              <div className="w-8 h-8 rounded-xl bg-indigo-600/40 border border-indigo-500/20 flex items-center justify-center">
-                <Icon name="chat" size={16}/>
+            {job.status === "delivered" && (
+              <section className="bg-slate-900/40 border border-white/10 rounded-xl p-3 space-y-2">
+                <div className="text-sm font-bold">Delivered report</div>
+                {downloads.active.report !== undefined ? (
+                  <DownloadProgress progress={downloads.active.report} label="Fetching report…" onCancel={() => downloads.cancel("report")} />
+                ) : (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => openPreview("report", jobDownloadPath(jobId), `${jobId}.docx`)}
+                      className="px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm flex items-center gap-2"
+                    >
+                      <Icon name="eye" size={16}/> Preview
+                    </button>
+                    <button
+                      onClick={() => downloads.start("report", jobDownloadPath(jobId), `${jobId}.docx`)}
+                      className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm flex items-center gap-2"
+                    >
+                      <Icon name="download" size={16}/> Download
+                    </button>
+                  </div>
+                )}
+              </section>
+            )}
+
+            <section>
+              <div className="text-sm font-bold mb-2">Inputs</div>
+              <div className="bg-slate-900/40 border border-white/10 rounded-xl p-3 text-sm space-y-1">
+                {Object.entries(job.inputs || {}).length === 0 && <div className="text-xs text-slate-400">No inputs.</div>}
+                {Object.entries(job.inputs || {}).map(([k, v]) => (
+                  <div key={k} className="flex gap-3">
+                    <div className="text-xs font-mono text-slate-400 w-32 shrink-0">{k}</div>
+                    <div className="break-words min-w-0">{typeof v === "string" ? v : JSON.stringify(v)}</div>
+                  </div>
+                ))}
               </div>
-              <div>
-                <div className="text-sm font-bold">Advisor Chatbot</div>
-                <div className="text-[10px] text-slate-400">
-                  {g.advisor_chatbot || g.is_admin ? "Enabled" : "Not in tier"}
-                </div>
+            </section>
+
+            <section>
+              <div className="text-sm font-bold mb-2">Uploaded files ({files.length})</div>
+              <div className="space-y-2">
+                {files.length === 0 && <div className="text-xs text-slate-400">No uploads.</div>}
+                {files.map((f, i) => (
+                  <div key={f.key || i} className="flex items-center gap-3 bg-slate-800/40 border border-white/5 rounded-xl p-3">
+                    <div className="min-w-0">
+                      <div className="text-xs font-mono text-slate-400">{f.file_set}</div>
+                      <div className="text-sm font-semibold truncate">{f.filename}</div>
+                    </div>
+                    <div className="ml-auto text-[10px] text-slate-500">{fmtBytes(f.size)}</div>
+                    {downloads.active[f.key] !== undefined ? (
+                      <div className="w-24">
+                        <DownloadProgress progress={downloads.active[f.key]} label="" onCancel={() => downloads.cancel(f.key)} />
+                      </div>
+                    ) : (
+                      <>
+                        {/\.docx$/i.test(f.filename || "") && (
+                          <button className="icon-btn" onClick={() => openPreview(f.key, adminFilePath(jobId, f.key), f.filename)} title="Preview">
+                            <Icon name="eye" size={16}/>
+                          </button>
+                        )}
+                        <button className="icon-btn" onClick={() => downloads.start(f.key, adminFilePath(jobId, f.key), f.filename)} title="Download">
+                          <Icon name="download" size={16}/>
+                        </button>
+                      </>
+                    )}
+                  </div>
+                ))}
               </div>
-            </div>
-            <button className="icon-btn" onClick={()=>setOpen(false)} title="Close">
-              <Icon name="x" size={18}/>
-            </button>
-          </div>
+            </section>
 
-          <div className="chat-body custom-scroll" ref={bodyRef}>
-            {msgs.map((m, i) => (
-              <div key={i} className={`msg ${m.role === "user" ? "msg-user ml-10" : "msg-bot mr-10"}`}>
-                {m.text}
+            <section>
+              <div className="text-sm font-bold mb-2">History</div>
+              <div className="space-y-2 border-l border-white/10 pl-3">
+                {history.length === 0 && <div className="text-xs text-slate-400">No history recorded.</div>}
+                {history.map((h, i) => (
+                  <div key={i} className="text-xs">
+                    <div className="flex items-center gap-2">
+                      {h.status && <StatusPill status={h.status} />}
+                      <span className="text-slate-300">{h.event || ""}</span>
+                      <span className="ml-auto text-slate-500">{fmtDate(h.at)}</span>
+                    </div>
+                    {(h.by || h.note) && (
+                      <div className="text-slate-400 mt-1">{h.by ? `${h.by}: ` : ""}{h.note || ""}</div>
+                    )}
+                  </div>
+                ))}
               </div>
-            ))}
-            {loading && <div className="msg msg-bot mr-10">(thinking...)</div>}
-          </div>
+            </section>
 
-          <div className="chat-input">
-            <input
-              value={input}
-              onChange={(e)=>setInput(e.target.value)}
-              placeholder="Ask your advisor..."
-              className="flex-1 bg-slate-900/60 border border-white/10 rounded-xl px-3 py-2 text-sm outline-none"
-              onKeyDown={(e)=>{ if(e.key==="Enter") send(); }}
-            />
-            <button onClick={send} className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm">
-              Send
-            </button>
+            {reviewable && (
+              <section className="space-y-2">
+                <div className="text-sm font-bold">Review</div>
+                <textarea
+                  value={reason}
+                  onChange={(e)=>setReason(e.target.value)}
+                  rows={3}
+                  placeholder="Reason / reviewer note (required to reject or request changes)"
+                  className="w-full bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500 text-sm"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={approve}
+                    disabled={busy}
+                    className="px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm disabled:opacity-50"
+                  >
+                    {busy ? "Working..." : "Approve"}
+                  </button>
+                  <button
+                    onClick={() => decide("changes")}
+                    disabled={busy}
+                    className="px-4 py-2 rounded-xl bg-orange-600/80 hover:bg-orange-500 font-bold text-sm disabled:opacity-50"
+                  >
+                    Request changes
+                  </button>
+                  <button
+                    onClick={() => decide("reject")}
+                    disabled={busy}
+                    className="ml-auto px-4 py-2 rounded-xl bg-rose-700/80 hover:bg-rose-600 font-bold text-sm disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </section>
+            )}
           </div>
-        </div>
-      )}
-
-      <div className="chat-bubble" onClick={()=>setOpen(o=>!o)} title="Advisor Chatbot">
-        <Icon name="chat" size={22}/>
+        )}
       </div>
     </div>
   );
 };
 
 /* =========================
-Admin Panel
+Admin Panel (review queue)
 ========================= */
-const AdminPanel = ({ session, toastError, toastOk }) => {
+const ADMIN_COLUMNS = [
+  { key: "id", label: "Job" },
+  { key: "job_type", label: "Type" },
+  { key: "email", label: "Email" },
+  { key: "status", label: "Status" },
+  { key: "created_at", label: "Created" },
+];
+
+const AdminPanel = ({ session, toastError, toastOk, selectedJobId }) => {
   const token = session?.session_token || loadSessionToken() || null;
-  const access = session?.access;
-  const g = featureGate(access);
+  const catalogue = useJobCatalogue(token);
+  // only mounted inside the is_admin FeatureGate
+  const generation = useGenerationTracker(token, true);
 
-  const [jobId, setJobId] = useState("");
-  const [busy, setBusy] = useState(false);
+  const [filters, setFilters] = useState({ status: "pending_review", job_type: "", email: "", from: "", to: "" });
+  const [sort, setSort] = useState({ key: "created_at", dir: "asc" });
+  const [page, setPage] = useState(1);
   const [queue, setQueue] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulk, setBulk] = useState(null); // { done, total } while bulk-approving
+  const [openId, setOpenId] = useState("");
+
+  const loadQueue = async () => {
+    if (!token) return;
+    setLoading(true);
+    const r = await adminListJobs({ token, filters, page, sort });
+    setLoading(false);
+    if (!r.ok) return toastError(`admin/jobs failed: ${r.error}`);
+    const jobs = r.data?.jobs || [];
+    setQueue(jobs);
+    setTotal(Number(r.data?.total ?? jobs.length));
+    // drop selections that left the current page
+    setSelected(sel => new Set(jobs.map(j => j.id).filter(id => sel.has(id))));
+  };
 
-  if (!g.is_admin) return null;
+  // typing in the email box shouldn't fire a request per keystroke
+  useEffect(() => {
+    const t = setTimeout(loadQueue, 300);
+    return () => clearTimeout(t);
+  }, [filters, page, sort]);
 
-  const approve = async () => {
-    const id = jobId.trim();
-    if (!id) return toastError("Enter a job_id.");
-    setBusy(true);
-    const r = await apiFetch(ROUTES.adminApprove, { method:"POST", token, body: { data: { job_id: id } }, timeoutMs: 60000 });
-    setBusy(false);
-    if (!r.ok) return toastError(`admin/approve failed: ${r.error}`);
-    toastOk(`Approved & generated: ${id}`);
+  const setFilter = (k, v) => { setFilters(f => ({ ...f, [k]: v })); setPage(1); };
+  const toggleSort = (key) => setSort(s => ({ key, dir: s.key === key && s.dir === "asc" ? "desc" : "asc" }));
+  const pages = Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE));
+
+  const toggle = (id) => setSelected(sel => {
+    const next = new Set(sel);
+    next.has(id) ? next.delete(id) : next.add(id);
+    return next;
+  });
+  const allOnPage = queue.length > 0 && queue.every(j => selected.has(j.id));
+  const toggleAll = () => setSelected(allOnPage ? new Set() : new Set(queue.map(j => j.id)));
+
+  const bulkApprove = async () => {
+    const ids = queue.filter(j => selected.has(j.id) && j.status === "pending_review").map(j => j.id);
+    if (!ids.length) return toastError("Select jobs in pending_review first.");
+    const failed = [];
+    setBulk({ done: 0, total: ids.length });
+    // one at a time: each approval queues a generation on the backend
+    for (const [i, id] of ids.entries()) {
+      const r = await adminApprove({ token, job_id: id });
+      if (!r.ok) failed.push(`${id}: ${r.error}`);
+      else generation.track(id);
+      setBulk({ done: i + 1, total: ids.length });
+    }
+    setBulk(null);
+    setSelected(new Set());
+    if (failed.length) toastError(`Approved ${ids.length - failed.length}/${ids.length}. Failed: ${failed.join("; ")}`);
+    else toastOk(`Approved ${ids.length} job(s).`);
+    loadQueue();
   };
 
-  const loadQueue = async () => {
-    const r = await apiFetch(`${ROUTES.adminJobs}?status=pending_review`, { method:"GET", token });
-    if (!r.ok) return toastError(`admin/jobs failed: ${r.error}`);
-    setQueue(r.data?.jobs || []);
-    toastOk(`Queue loaded: ${(r.data?.jobs || []).length}`);
+  const retryGeneration = async (id) => {
+    const r = await adminRetryGeneration({ token, job_id: id });
+    if (!r.ok) return toastError(`admin/retry-generation failed: ${r.error}`);
+    toastOk(`Generation restarted: ${id}`);
+    generation.track(id);
   };
 
+  const tracked = Object.entries(generation.items);
+
+  const inputCls = "bg-slate-900/50 border border-slate-600 rounded-xl px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500";
+
   return (
     <div className="glass-panel p-5 rounded-2xl border-l-4 border-indigo-500 mb-8">
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center gap-3">
         <div>
           <div className="text-xs uppercase tracking-widest text-indigo-300 font-bold">Admin Panel</div>
-          <div className="text-sm text-slate-300">Approve a job and generate the Word report.</div>
+          <div className="text-sm text-slate-300">Review queue: open a job to check its inputs and files, then approve or send it back.</div>
         </div>
+        <form
+          className="ml-auto flex gap-2"
+          onSubmit={(e) => { e.preventDefault(); const id = openId.trim(); if (id) navigate(`/admin/jobs/${encodeURIComponent(id)}`); }}
+        >
+          <input
+            value={openId}
+            onChange={(e)=>setOpenId(e.target.value)}
+            placeholder="Open job_xxxxxxxx"
+            className={`${inputCls} font-mono w-44`}
+          />
+        </form>
         <div className="text-[10px] px-2 py-1 rounded-full border border-indigo-500/30 text-indigo-200">ADMIN</div>
       </div>
 
-      <div className="mt-3 flex gap-2">
+      {/* Generation tracker */}
+      {tracked.length > 0 && (
+        <div className="mt-4 bg-slate-900/40 border border-white/10 rounded-2xl p-3">
+          <div className="text-xs text-slate-400 mb-2">Report generation</div>
+          <div className="space-y-2">
+            {tracked.map(([id, gen]) => (
+              <div key={id} className="bg-slate-800/40 border border-white/5 rounded-xl p-3">
+                <div className="flex items-center gap-2 mb-1">
+                  <Link to={`/admin/jobs/${encodeURIComponent(id)}`} className="text-xs font-mono text-slate-200 hover:underline">{id}</Link>
+                  <StatusPill status={gen.status} />
+                  <div className="ml-auto flex items-center gap-2">
+                    {gen.status === "failed" && (
+                      <button onClick={() => retryGeneration(id)} className="text-xs text-indigo-300 hover:text-white">Retry generation</button>
+                    )}
+                    {gen.lost && (
+                      <button onClick={() => generation.resume(id)} className="text-xs text-indigo-300 hover:text-white">Check again</button>
+                    )}
+                    {(GENERATION_DONE.includes(gen.status) || gen.lost) && (
+                      <button onClick={() => generation.dismiss(id)} className="text-slate-400 hover:text-white" title="Dismiss">
+                        <Icon name="x" size={14}/>
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <GenerationProgress gen={gen} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-6 gap-2">
+        <select value={filters.status} onChange={(e)=>setFilter("status", e.target.value)} className={inputCls}>
+          <option value="">All statuses</option>
+          {JOB_STATUSES.map(x => <option key={x} value={x}>{x}</option>)}
+        </select>
+        <select value={filters.job_type} onChange={(e)=>setFilter("job_type", e.target.value)} className={inputCls}>
+          <option value="">All job types</option>
+          {catalogue.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+        </select>
         <input
-          value={jobId}
-          onChange={(e)=>setJobId(e.target.value)}
-          placeholder="job_xxxxxxxx"
-          className="flex-1 bg-slate-900/50 border border-slate-600 rounded-xl p-3 text-white focus:outline-none focus:border-indigo-500 font-mono text-sm"
+          value={filters.email}
+          onChange={(e)=>setFilter("email", e.target.value)}
+          placeholder="Email contains…"
+          className={`${inputCls} md:col-span-2`}
         />
+        <input type="date" value={filters.from} onChange={(e)=>setFilter("from", e.target.value)} className={inputCls} title="Created from" />
+        <input type="date" value={filters.to} onChange={(e)=>setFilter("to", e.target.value)} className={inputCls} title="Created to" />
+      </div>
+
+      {/* Bulk bar */}
+      <div className="mt-3 flex items-center gap-3 text-xs text-slate-400">
+        <div>{loading ? "Loading…" : `${total} job(s)`}</div>
+        {selected.size > 0 && <div className="text-slate-200">{selected.size} selected</div>}
+        <button
+          onClick={bulkApprove}
+          disabled={!selected.size || !!bulk}
+          className="ml-auto px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm text-white disabled:opacity-40"
+        >
+          {bulk ? `Approving ${bulk.done}/${bulk.total}…` : `Approve selected${selected.size ? ` (${selected.size})` : ""}`}
+        </button>
+        <button className="icon-btn" onClick={loadQueue} disabled={loading} title="Reload">
+          <Icon name="refresh" size={16}/>
+        </button>
+      </div>
+
+      {/* Queue table */}
+      <div className="mt-3 bg-slate-900/40 border border-white/10 rounded-2xl overflow-auto custom-scroll">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-400 border-b border-white/10">
+              <th className="p-3 w-8">
+                <input type="checkbox" checked={allOnPage} onChange={toggleAll} title="Select page" />
+              </th>
+              {ADMIN_COLUMNS.map(c => (
+                <th key={c.key} className="p-3 font-semibold">
+                  <button onClick={() => toggleSort(c.key)} className="hover:text-white">
+                    {c.label}{sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {!loading && queue.length === 0 && (
+              <tr><td colSpan={ADMIN_COLUMNS.length + 1} className="p-3 text-slate-400">No jobs match these filters.</td></tr>
+            )}
+            {queue.map(j => (
+              <tr
+                key={j.id}
+                onClick={() => navigate(`/admin/jobs/${encodeURIComponent(j.id)}`)}
+                className={`border-b border-white/5 cursor-pointer hover:bg-slate-800/60 ${j.id === selectedJobId ? "bg-indigo-600/10" : ""}`}
+              >
+                <td className="p-3" onClick={(e) => e.stopPropagation()}>
+                  <input type="checkbox" checked={selected.has(j.id)} onChange={() => toggle(j.id)} />
+                </td>
+                <td className="p-3 font-mono text-slate-200">{j.id}</td>
+                <td className="p-3 text-slate-300">{j.job_type}</td>
+                <td className="p-3 text-slate-300">{j.email}</td>
+                <td className="p-3"><StatusPill status={j.status} /></td>
+                <td className="p-3 text-slate-400 whitespace-nowrap">{fmtDate(j.created_at)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      <div className="mt-3 flex items-center justify-end gap-2 text-xs text-slate-400">
         <button
-          onClick={approve}
-          disabled={busy}
-          className="px-4 py-3 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold disabled:opacity-50"
+          onClick={() => setPage(p => Math.max(1, p - 1))}
+          disabled={page <= 1}
+          className="px-3 py-1 rounded-lg bg-slate-800 border border-white/10 disabled:opacity-40"
         >
-          {busy ? "Working..." : "Approve"}
+          Prev
         </button>
+        <div>Page {page} / {pages}</div>
         <button
-          onClick={loadQueue}
-          className="px-4 py-3 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 font-bold"
+          onClick={() => setPage(p => Math.min(pages, p + 1))}
+          disabled={page >= pages}
+          className="px-3 py-1 rounded-lg bg-slate-800 border border-white/10 disabled:opacity-40"
         >
-          <Icon name="list" size={16} />
+          Next
         </button>
       </div>
 
-      {(queue || []).length > 0 && (
-        <div className="mt-4 bg-slate-900/40 border border-white/10 rounded-2xl p-3">
-          <div className="text-xs text-slate-400 mb-2">Pending review jobs</div>
-          <div className="max-h-48 overflow-auto custom-scroll space-y-2">
-            {queue.map((j, i) => (
-              <div key={i} className="bg-slate-800/40 border border-white/5 rounded-xl p-3">
-                <div className="flex items-center justify-between">
-                  <div className="text-xs font-mono text-slate-200">{j.id}</div>
-                  <StatusPill status={j.status} />
+      {selectedJobId && (
+        <AdminJobDrawer
+          token={token}
+          jobId={selectedJobId}
+          generation={generation.items[selectedJobId]}
+          onClose={() => navigate("/admin")}
+          onChanged={loadQueue}
+          onApproved={(id) => generation.track(id)}
+          onRetry={retryGeneration}
+          toastError={toastError}
+          toastOk={toastOk}
+        />
+      )}
+    </div>
+  );
+};
+
+/* =========================
+Plan & billing
+GET /billing/plans is the source of truth; the built-ins keep the comparison readable without it.
+Checkout leaves the app for the provider's hosted page, which returns to /plan?checkout=success|cancel.
+========================= */
+const DEFAULT_PLANS = [
+  { id: "starter", label: "Starter", features: { app_access: true, advisor_chatbot: false, strategic_master_plan: false } },
+  { id: "pro", label: "Pro", features: { app_access: true, advisor_chatbot: true, strategic_master_plan: false } },
+  { id: "enterprise", label: "Enterprise", features: { app_access: true, advisor_chatbot: true, strategic_master_plan: true } },
+];
+const DEFAULT_ADDONS = [
+  { id: "language_addon", label: "Language add-on", description: "Deliverables in languages other than English." },
+];
+
+async function billingPlans({ token }) {
+  return apiFetch(ROUTES.billingPlans, { method:"GET", token });
+}
+async function billingCheckout({ token, plan, addons }) {
+  const return_url = `${window.location.origin}/plan`;
+  return apiFetch(ROUTES.billingCheckout, { method:"POST", token, body: { data: { plan, addons, return_url } } });
+}
+async function billingUpgrade({ token, plan, addons }) {
+  return apiFetch(ROUTES.billingUpgrade, { method:"POST", token, body: { data: { plan, addons } } });
+}
+
+// boolean features only; tier is shown separately
+function comparisonRows(access, plans) {
+  const keys = new Set(Object.keys(access?.features || {}));
+  plans.forEach(p => Object.keys(p.features || {}).forEach(k => keys.add(k)));
+  return [...keys]
+    .filter(k => k !== "tier" && k in FEATURES)
+    .map(k => ({ key: k, label: FEATURES[k].label }));
+}
+
+const PlanPanel = ({ session, route, toastError, toastOk }) => {
+  const token = session?.session_token || loadSessionToken() || null;
+  const access = session?.access;
+  const g = featureGate(access);
+  const sub = access?.subscription || {};
+  const [catalogue, setCatalogue] = useState({ plans: DEFAULT_PLANS, addons: DEFAULT_ADDONS });
+  const [busy, setBusy] = useState(null); // plan/add-on id being bought
+  const [confirmError, setConfirmError] = useState(null); // /access failed after a successful checkout
+  const [confirming, setConfirming] = useState(false);
+  const checkout = route.query.get("checkout");
+  // billing state, not entitlement: admins without a subscription still go through checkout
+  const subscribed = g.app_access;
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      const r = await billingPlans({ token });
+      if (!r.ok || !(r.data?.plans || []).length) return;
+      setCatalogue({ plans: r.data.plans, addons: r.data.addons || [] });
+    })();
+  }, [token]);
+
+  // back from the hosted checkout: pick up the new entitlements, then return to work.
+  // If /access can't be read the purchase isn't confirmed yet: stay here so it can be checked again.
+  const confirmPurchase = async () => {
+    setConfirming(true);
+    const r = await accessCheck(token);
+    setConfirming(false);
+    if (!r.ok) {
+      setConfirmError(r.error);
+      toastError(`Couldn't load your new plan: ${r.error}`);
+      return navigate("/plan", { replace: true });
+    }
+    setConfirmError(null);
+    emitSession({ type: "access", access: r.data?.access || r.data });
+    toastOk("Payment confirmed. Your plan is active.");
+    navigate("/jobs", { replace: true });
+  };
+
+  useEffect(() => {
+    if (!checkout) return;
+    if (checkout !== "success") {
+      toastError("Checkout canceled. Your plan is unchanged.");
+      navigate("/plan", { replace: true });
+      return;
+    }
+    confirmPurchase();
+  }, [checkout]);
+
+  const buy = async ({ plan, addons }) => {
+    if (!token) return toastError("Missing session token. Please sign in again.");
+    setBusy(plan || addons[0]);
+    // no subscription yet = checkout; otherwise change it in place
+    const r = subscribed
+      ? await billingUpgrade({ token, plan, addons })
+      : await billingCheckout({ token, plan, addons });
+    if (!r.ok) {
+      setBusy(null);
+      return toastError(`billing failed: ${r.error}`);
+    }
+    if (r.data?.url) {
+      window.location.assign(r.data.url);
+      return;
+    }
+    setBusy(null);
+    if (r.data?.access) emitSession({ type: "access", access: r.data.access });
+    toastOk("Plan updated.");
+    navigate("/jobs");
+  };
+
+  const rows = comparisonRows(access, catalogue.plans);
+  const renews = sub.renews_at || sub.current_period_end;
+  const owned = (id) => !!g[id] || (sub.addons || []).includes(id);
+  const mark = (on) => on ? <span className="text-emerald-300">✓</span> : <span className="text-slate-600">—</span>;
+
+  if (checkout) {
+    return (
+      <div className="glass-panel p-8 rounded-2xl flex items-center justify-center gap-3 text-slate-300">
+        <div className="loader border-t-indigo-500"></div>
+        <div className="text-sm">Confirming your purchase…</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {confirmError && (
+        <div className="glass-panel p-4 rounded-2xl border border-red-500/30 flex flex-wrap items-center gap-3 text-sm text-red-200">
+          <div className="flex-1">
+            Checkout finished, but your plan couldn't be loaded ({String(confirmError)}). The plan below may be out of date.
+          </div>
+          <button
+            onClick={confirmPurchase}
+            disabled={confirming}
+            className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-xs disabled:opacity-50"
+          >
+            {confirming ? "Checking…" : "Check again"}
+          </button>
+        </div>
+      )}
+
+      <div className="glass-panel p-6 rounded-2xl">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <div className="text-xs uppercase tracking-widest text-slate-400 mb-1">Current plan</div>
+            <div className="text-2xl font-display font-bold capitalize">{g.tier === "none" ? "No subscription" : g.tier}</div>
+            <div className="text-xs text-slate-400 mt-1">
+              {subscribed
+                ? (renews ? `Renews ${fmtDate(renews)}` : "Active")
+                : "Choose a plan below to start creating deliverables."}
+              {sub.status && sub.status !== "active" && <span className="ml-2 text-yellow-200">({sub.status})</span>}
+            </div>
+          </div>
+          <div className="text-xs text-slate-300">
+            <div className="text-slate-400 mb-1">Add-ons</div>
+            {catalogue.addons.filter(a => owned(a.id)).map(a => <div key={a.id}>✓ {a.label}</div>)}
+            {!catalogue.addons.some(a => owned(a.id)) && <div className="text-slate-500">None</div>}
+          </div>
+          <Link to="/jobs" className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm">Back to jobs</Link>
+        </div>
+      </div>
+
+      <div className="glass-panel p-6 rounded-2xl overflow-x-auto">
+        <h3 className="text-lg font-bold mb-4">Compare plans</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-400 text-xs">
+              <th className="py-2 pr-4 font-normal">Feature</th>
+              <th className="py-2 px-3 font-normal">You now</th>
+              {catalogue.plans.map(p => (
+                <th key={p.id} className={`py-2 px-3 ${p.id === g.tier ? "text-indigo-200" : "text-slate-200"}`}>
+                  {p.label}
+                  {p.price_label && <div className="text-[10px] text-slate-400 font-normal">{p.price_label}</div>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key} className="border-t border-white/5">
+                <td className="py-2 pr-4 text-slate-300">{r.label}</td>
+                <td className="py-2 px-3">{mark(!!access?.features?.[r.key])}</td>
+                {catalogue.plans.map(p => <td key={p.id} className="py-2 px-3">{mark(!!p.features?.[r.key])}</td>)}
+              </tr>
+            ))}
+            <tr className="border-t border-white/5">
+              <td />
+              <td />
+              {catalogue.plans.map(p => (
+                <td key={p.id} className="py-3 px-3">
+                  {p.id === g.tier ? (
+                    <span className="text-xs text-indigo-200">Current plan</span>
+                  ) : (
+                    <button
+                      onClick={() => buy({ plan: p.id })}
+                      disabled={!!busy}
+                      className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-xs disabled:opacity-50"
+                    >
+                      {busy === p.id ? "Working..." : subscribed ? "Switch" : "Choose"}
+                    </button>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {catalogue.addons.length > 0 && (
+        <div className="glass-panel p-6 rounded-2xl">
+          <h3 className="text-lg font-bold mb-4">Add-ons</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {catalogue.addons.map(a => (
+              <div key={a.id} className="rounded-xl p-4 bg-slate-900/50 border border-white/10 flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-bold">{a.label}</div>
+                  {a.description && <div className="text-xs text-slate-400 mt-1">{a.description}</div>}
+                  {a.price_label && <div className="text-[11px] text-slate-300 mt-1">{a.price_label}</div>}
                 </div>
-                <div className="text-xs text-slate-400">{j.job_type} • {j.email}</div>
+                {owned(a.id) ? (
+                  <span className="text-xs text-emerald-300">Active</span>
+                ) : (
+                  <button
+                    onClick={() => buy({ addons: [a.id] })}
+                    disabled={!!busy || !subscribed}
+                    title={subscribed ? "" : "Choose a plan first"}
+                    className="px-3 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-xs disabled:opacity-50"
+                  >
+                    {busy === a.id ? "Working..." : "Add"}
+                  </button>
+                )}
               </div>
             ))}
           </div>
         </div>
       )}
+    </div>
+  );
+};
 
-      <div className="text-xs text-slate-500 mt-2">
-        Calls <span className="text-slate-300">POST {API_BASE}{ROUTES.adminApprove}</span>
-      </div>
+/* =========================
+Usage quotas (limit null = unlimited)
+Backends that fold usage into /access as access.usage work without /usage.
+========================= */
+const USAGE_METERS = [
+  { key: "reports", label: "Reports" },
+  { key: "chat_messages", label: "Chat messages" },
+];
+
+async function usageSummary({ token }) {
+  return apiFetch(ROUTES.usage, { method:"GET", token });
+}
+
+function normalizeUsage(raw) {
+  const quotas = raw?.quotas || {};
+  if (!Object.keys(quotas).length) return null;
+  return { period_end: raw.period_end || null, quotas };
+}
+
+// null = not metered; need = how many units the next request uses
+function quotaState(usage, key, need = 1) {
+  const q = usage?.quotas?.[key];
+  if (!q || q.limit === null || q.limit === undefined) return null;
+  const used = Number(q.used) || 0;
+  const limit = Number(q.limit) || 0;
+  const left = Math.max(0, limit - used);
+  return { used, limit, left, over: used + need > limit, near: left <= Math.max(1, Math.ceil(limit * 0.1)) };
+}
+
+// re-read whenever entitlements change: a new plan means new limits
+function useUsage(token, access) {
+  const [usage, setUsage] = useState(() => normalizeUsage(access?.usage));
+  const reload = async () => {
+    if (!token) return;
+    const r = await usageSummary({ token });
+    if (r.ok) setUsage(normalizeUsage(r.data));
+    else if (access?.usage) setUsage(normalizeUsage(access.usage));
+  };
+  useEffect(() => { reload(); }, [token, access]);
+  return { usage, reload };
+}
+
+const UsageMeter = ({ usage }) => {
+  const rows = USAGE_METERS.map(m => ({ ...m, q: quotaState(usage, m.key, 0) })).filter(m => m.q);
+  if (!rows.length) return null;
+  return (
+    <Link
+      to="/plan"
+      title={usage.period_end ? `Usage resets ${fmtDate(usage.period_end)}` : "Usage this period"}
+      className="px-3 py-1.5 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 flex flex-col gap-1 min-w-[150px]"
+    >
+      {rows.map(m => {
+        const pct = Math.min(100, Math.round((m.q.used / Math.max(1, m.q.limit)) * 100));
+        const tone = m.q.left === 0 ? "bg-red-500" : m.q.near ? "bg-amber-400" : "bg-emerald-500";
+        return (
+          <div key={m.key} className="text-[10px] text-slate-300">
+            <div className="flex justify-between gap-2"><span>{m.label}</span><span className="font-mono">{m.q.used}/{m.q.limit}</span></div>
+            <div className="h-1 rounded-full bg-white/10 overflow-hidden">
+              <div className={`h-full ${tone}`} style={{ width: `${pct}%` }} />
+            </div>
+          </div>
+        );
+      })}
+    </Link>
+  );
+};
+
+// shown ahead of the request that would use the last unit (or one more than is left)
+const QuotaNotice = ({ usage, meter, action, className = "" }) => {
+  const q = quotaState(usage, meter);
+  if (!q || !q.near) return null;
+  const label = (USAGE_METERS.find(m => m.key === meter)?.label || meter).toLowerCase();
+  return (
+    <div className={`text-xs ${q.over ? "text-red-300" : "text-yellow-200"} ${className}`}>
+      {q.over
+        ? `You've used all ${q.limit} ${label} for this period, so ${action} will be refused.`
+        : `${q.left} of ${q.limit} ${label} left this period.`}{" "}
+      <Link to="/plan" className="underline font-bold">See plans</Link>
     </div>
   );
 };
@@ -866,13 +4776,44 @@ const AdminPanel = ({ session, toastError, toastOk }) => {
 /* =========================
 Dashboard Shell
 ========================= */
-const Dashboard = ({ session, onLogout, toastError, toastOk }) => {
+const Dashboard = ({ session, route, onLogout, toastError, toastOk, accessNotice, onDismissAccessNotice }) => {
   const access = session?.access;
   const g = featureGate(access);
   const [autoDownload, setAutoDownload] = useState(loadAutoDownload);
+  const [notify, setNotify] = useState(() => loadNotify() && !notificationsBlocked());
+  const [jobsReloadKey, setJobsReloadKey] = useState(0);
+  const [jobContext, setJobContext] = useState(null);
+  const token = session?.session_token || loadSessionToken() || null;
+  const { usage, reload: reloadUsage } = useUsage(token, access);
+
+  const adminView = route.name === "admin" || route.name === "adminJob";
+  const planView = route.name === "plan";
+  const openJobId = route.name === "job" ? route.params.id : null;
+
+  const onJobChange = (id) => {
+    if (id && id !== openJobId) navigate(`/jobs/${encodeURIComponent(id)}`);
+    setJobsReloadKey(k => k + 1);
+  };
+
+  useEffect(() => {
+    if (adminView && !hasFeature(g, "is_admin")) navigate("/jobs", { replace: true });
+  }, [adminView, g.is_admin]);
+
+  const tabCls = (on) => `px-3 py-2 rounded-xl text-sm border ${on ? "bg-indigo-600/30 border-indigo-500/30 text-indigo-100" : "bg-slate-800 border-white/10 text-slate-300 hover:bg-slate-700"}`;
 
   useEffect(() => { saveAutoDownload(autoDownload); }, [autoDownload]);
 
+  // the permission prompt needs the click that turns this on
+  const toggleNotify = async () => {
+    if (notify) { saveNotify(false); return setNotify(false); }
+    if (typeof Notification === "undefined") return toastError("This browser doesn't support desktop notifications.");
+    const perm = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+    if (perm !== "granted") return toastError("Notifications are blocked. Allow them for this site in your browser settings.");
+    saveNotify(true);
+    setNotify(true);
+    toastOk("You'll get a desktop notification when a job is delivered, fails or needs changes.");
+  };
+
   return (
     <div className="min-h-screen aurora-bg pb-24">
       <div className="max-w-6xl mx-auto p-4 sm:p-6">
@@ -890,8 +4831,17 @@ const Dashboard = ({ session, onLogout, toastError, toastOk }) => {
             </div>
           </div>
 
+          <nav className="flex items-center gap-2">
+            <Link to="/jobs" className={tabCls(!adminView && !planView)}>Jobs</Link>
+            <FeatureGate access={access} feature="is_admin">
+              <Link to="/admin" className={tabCls(adminView)}>Admin</Link>
+            </FeatureGate>
+            <Link to="/plan" className={tabCls(planView)}>Plan</Link>
+          </nav>
+
           <div className="flex items-center gap-3">
             <AccessBadge access={access} />
+            <UsageMeter usage={usage} />
 
             <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-slate-800 border border-white/10">
               <span className="text-[11px] text-slate-300">Auto-download</span>
@@ -904,6 +4854,14 @@ const Dashboard = ({ session, onLogout, toastError, toastOk }) => {
               </button>
             </div>
 
+            <button
+              onClick={toggleNotify}
+              className={`icon-btn border ${notify ? "border-emerald-500/40 text-emerald-300" : "border-white/10 text-slate-400"}`}
+              title={notify ? "Desktop notifications on (click to turn off)" : "Notify me when a job is delivered, fails or needs changes"}
+            >
+              <Icon name="bell" size={18}/>
+            </button>
+
             <button
               onClick={onLogout}
               className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-white/10 text-sm flex items-center gap-2"
@@ -914,23 +4872,71 @@ const Dashboard = ({ session, onLogout, toastError, toastOk }) => {
           </div>
         </header>
 
-        {!g.app_access && !g.is_admin && (
-          <div className="glass-panel p-6 rounded-2xl mb-8 border-l-4 border-red-500">
-            <div className="text-red-300 font-bold uppercase text-xs tracking-widest mb-2">Access blocked</div>
-            <p className="text-slate-300 text-sm">Your subscription is not active. Please complete purchase or renew.</p>
+        {accessNotice && (
+          <div className="glass-panel p-4 rounded-2xl mb-6 border-l-4 border-indigo-500 flex items-start justify-between gap-4">
+            <div>
+              <div className="text-indigo-200 font-bold uppercase text-xs tracking-widest mb-1">Your plan changed</div>
+              <ul className="text-sm text-slate-300 list-disc pl-5">
+                {accessNotice.map(c => <li key={c}>{c}</li>)}
+              </ul>
+            </div>
+            <button onClick={onDismissAccessNotice} className="text-slate-400 hover:text-white" title="Dismiss">
+              <Icon name="x" size={16}/>
+            </button>
+          </div>
+        )}
+
+        {!hasFeature(g, "app_access") && !planView && (
+          <div className="glass-panel p-6 rounded-2xl mb-8 border-l-4 border-red-500 flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <div className="text-red-300 font-bold uppercase text-xs tracking-widest mb-2">Access blocked</div>
+              <p className="text-slate-300 text-sm">Your subscription is not active. Please complete purchase or renew.</p>
+            </div>
+            <Link to="/plan" className="px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 font-bold text-sm">See plans</Link>
           </div>
         )}
 
-        <AdminPanel session={session} toastError={toastError} toastOk={toastOk} />
+        {planView ? (
+          <PlanPanel session={session} route={route} toastError={toastError} toastOk={toastOk} />
+        ) : adminView ? (
+          <FeatureGate access={access} feature="is_admin">
+            <AdminPanel
+              session={session}
+              toastError={toastError}
+              toastOk={toastOk}
+              selectedJobId={route.name === "adminJob" ? route.params.id : null}
+            />
+          </FeatureGate>
+        ) : (
+          <>
+            <JobWizard
+              session={session}
+              toastError={toastError}
+              toastOk={toastOk}
+              autoDownloadEnabled={autoDownload}
+              openJobId={openJobId}
+              onJobChange={onJobChange}
+              onJobContext={setJobContext}
+              usage={usage}
+              onUsageChange={reloadUsage}
+            />
+
+            <MyJobsPanel
+              session={session}
+              toastError={toastError}
+              activeJobId={openJobId}
+              reloadKey={jobsReloadKey}
+            />
+          </>
+        )}
 
-        <JobWizard
+        <AdvisorChatDock
           session={session}
           toastError={toastError}
-          toastOk={toastOk}
-          autoDownloadEnabled={autoDownload}
+          jobContext={jobContext}
+          usage={usage}
+          onUsageChange={reloadUsage}
         />
-
-        <AdvisorChatDock session={session} toastError={toastError} />
       </div>
     </div>
   );
@@ -940,27 +4946,128 @@ const Dashboard = ({ session, onLogout, toastError, toastOk }) => {
 App Root (Magic link handling)
 ========================= */
 const App = () => {
-  const [step, setStep] = useState("intro"); // intro | login | verify | app
+  // intro plays for a bare visit; deep links (/jobs/:id, /auth/verify) land immediately
+  const [introDone, setIntroDone] = useState(() => window.location.pathname !== "/");
   const [session, setSession] = useState(() => loadSession());
   const [toast, setToast] = useState(null);
+  const [renewal, setRenewal] = useState(null); // null | "expiring" | "expired"
+  const [ttlWarning, setTtlWarning] = useState(false);
+  const [accessNotice, setAccessNotice] = useState(null); // [change] since the last /access read
+  const expiredRef = useRef(false);
+  expiredRef.current = renewal === "expired";
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+  const route = useRoute();
 
-  // ✅ token always comes from URL ?token=...
-  const tokenFromUrl = useMemo(() => {
-    try {
-      const u = new URL(window.location.href);
-      return (u.searchParams.get("token") || "").trim() || null;
-    } catch { return null; }
-  }, []);
+  // ✅ magic link lands on /auth/verify?token=...
+  const tokenFromUrl = route.name === "verify" ? ((route.query.get("token") || "").trim() || null) : null;
+  const signedIn = !!(session?.access && (session?.session_token || loadSessionToken()));
 
-  const toastError = (msg) => { setToast({ type: "error", msg }); setTimeout(() => setToast(null), 4500); };
+  // while the session is gone every failing call would toast; the modal already explains it
+  const toastError = (msg) => {
+    if (expiredRef.current) return;
+    setToast({ type: "error", msg });
+    setTimeout(() => setToast(null), 4500);
+  };
   const toastOk = (msg) => { setToast({ type: "ok", msg }); setTimeout(() => setToast(null), 3500); };
 
   useEffect(() => {
-    // ✅ if user opens /auth/verify?token=... (or any path with token), go verify
-    if (tokenFromUrl) { setStep("verify"); return; }
-    if (session?.access && (session?.session_token || loadSessionToken())) { setStep("app"); return; }
-    setStep("login");
-  }, []);
+    if (tokenFromUrl) return;
+    if (!signedIn) {
+      // remember where the user was headed; verify sends them back there
+      if (route.name && route.name !== "verify") saveReturnTo(route.pathname + route.search);
+      else if (!route.name) clearReturnTo();
+      return;
+    }
+    if (!route.name || route.name === "verify") navigate("/jobs", { replace: true });
+  }, [route.pathname, signedIn]);
+
+  const adoptSession = (sess) => {
+    setSession(sess);
+    setRenewal(null);
+    setTtlWarning(false);
+  };
+
+  const applyAccess = (access) => {
+    const cur = sessionRef.current;
+    if (!cur || !access || JSON.stringify(cur.access) === JSON.stringify(access)) return;
+    const changes = diffEntitlements(cur.access, access);
+    const next = { ...cur, access };
+    saveSession(next);
+    setSession(next);
+    if (changes.length) setAccessNotice(changes);
+  };
+
+  // upgrades and cancellations show up without signing out and back in
+  useEffect(() => {
+    if (!signedIn || renewal === "expired") return;
+    let last = 0;
+    const refresh = async () => {
+      if (document.visibilityState !== "visible" || Date.now() - last < ACCESS_FOCUS_GAP_MS) return;
+      last = Date.now();
+      const r = await accessCheck(sessionRef.current?.session_token || loadSessionToken());
+      if (r.ok) applyAccess(r.data?.access || r.data);
+    };
+    refresh();
+    const t = setInterval(refresh, ACCESS_REFRESH_MS);
+    window.addEventListener("focus", refresh);
+    document.addEventListener("visibilitychange", refresh);
+    return () => {
+      clearInterval(t);
+      window.removeEventListener("focus", refresh);
+      document.removeEventListener("visibilitychange", refresh);
+    };
+  }, [signedIn, renewal, session?.session_token]);
+
+  useEffect(() => {
+    const onSessionEvent = (e) => {
+      const d = e.detail || {};
+      if (d.type === "expired") setRenewal("expired");
+      if (d.type === "access") applyAccess(d.access);
+    };
+    // another tab finished the magic link: take over its session
+    const onStorage = (e) => {
+      if (e.key !== LS_KEYS.session) return;
+      // no BroadcastChannel (older Safari): the cleared session is the logout signal
+      if (!e.newValue) {
+        if (!tabChannel && sessionRef.current) signOutHere();
+        return;
+      }
+      const next = safeJsonParse(e.newValue);
+      if (!next?.session_token || next.session_token === session?.session_token) return;
+      const wasExpired = expiredRef.current;
+      adoptSession(next);
+      if (wasExpired) toastOk("Signed in again. You can continue where you left off.");
+    };
+    window.addEventListener(SESSION_EVENT, onSessionEvent);
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener(SESSION_EVENT, onSessionEvent);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, [session?.session_token]);
+
+  // session_ttl_seconds from verify: warn ahead of time, then treat as expired
+  useEffect(() => {
+    const exp = session?.expires_at ? Date.parse(session.expires_at) : NaN;
+    if (!signedIn || !Number.isFinite(exp)) return;
+    // setTimeout overflows past ~24.8 days
+    const later = (ms, fn) => setTimeout(fn, Math.min(Math.max(0, ms), 2 ** 31 - 1));
+    const warn = later(exp - SESSION_WARN_MS - Date.now(), () => setTtlWarning(true));
+    const end = later(exp - Date.now(), () => setRenewal("expired"));
+    return () => { clearTimeout(warn); clearTimeout(end); };
+  }, [session?.expires_at, signedIn]);
+
+  const recheckSession = async () => {
+    const stored = loadSession();
+    const token = stored?.session_token || loadSessionToken();
+    const r = await accessCheck(token);
+    if (!r.ok) return toastError("Not signed in yet. Open the link from your email first.");
+    const next = { ...(stored || session), access: r.data?.access || r.data };
+    saveSession(next);
+    adoptSession(next);
+    toastOk("Session active. You can continue.");
+  };
 
   const onRequested = (email, ttl) => {
     const mins = Math.round(((ttl || 1800) / 60));
@@ -972,7 +5079,7 @@ const App = () => {
     const sessionToken = payload?.session_token || null;
     if (!sessionToken) {
       toastError("Verify response missing session_token. Check backend /auth/verify output.");
-      setStep("login");
+      navigate("/", { replace: true });
       return;
     }
     saveSessionToken(sessionToken);
@@ -983,50 +5090,80 @@ const App = () => {
       app_url: payload.app_url,
       verified_at: new Date().toISOString(),
       session_token: sessionToken,
+      expires_at: payload.session_ttl_seconds ? new Date(Date.now() + payload.session_ttl_seconds * 1000).toISOString() : null,
     };
     saveSession(sess);
     setSession(sess);
 
-    // ✅ Clean token from URL (prevents re-verify loop)
-    try {
-      const u = new URL(window.location.href);
-      u.searchParams.delete("token");
-      window.history.replaceState({}, document.title, u.toString());
-    } catch {}
-
+    // ✅ replace /auth/verify?token=... (prevents re-verify loop) with where the user was headed
+    navigate(consumeReturnTo() || "/jobs", { replace: true });
     toastOk("Verified. Welcome!");
-    setStep("app");
   };
 
-  const logout = () => {
+  const signOutHere = () => {
     clearSession();
     clearSessionToken();
+    clearReturnTo();
     setSession(null);
-    setStep("login");
+    setRenewal(null);
+    setTtlWarning(false);
+    setAccessNotice(null);
+    navigate("/", { replace: true });
+  };
+
+  // every open tab signs out together
+  const logout = () => {
+    signOutHere();
+    broadcast({ type: "logout" });
   };
 
+  useEffect(() => onBroadcast(msg => {
+    if (msg.type === "logout" && sessionRef.current) signOutHere();
+  }), []);
+
   return (
     <div className="min-h-screen">
-      {step === "intro" && (
-        <IntroAnimation onFinish={() => {
-          if (tokenFromUrl) setStep("verify");
-          else if (session?.access && (session?.session_token || loadSessionToken())) setStep("app");
-          else setStep("login");
-        }} />
-      )}
+      {!introDone && <IntroAnimation onFinish={() => setIntroDone(true)} />}
 
-      {step === "login" && <LoginScreen onRequested={onRequested} onError={toastError} />}
-
-      {step === "verify" && (
+      {introDone && tokenFromUrl && (
         <VerifyScreen
           token={tokenFromUrl}
           onVerified={onVerified}
-          onError={(m) => { toastError(m); setStep("login"); }}
+          onError={(m) => { toastError(m); navigate("/", { replace: true }); }}
+        />
+      )}
+
+      {introDone && !tokenFromUrl && !signedIn && <LoginScreen onRequested={onRequested} onError={toastError} />}
+
+      {introDone && !tokenFromUrl && signedIn && (
+        <Dashboard
+          session={session}
+          route={route}
+          onLogout={logout}
+          toastError={toastError}
+          toastOk={toastOk}
+          accessNotice={accessNotice}
+          onDismissAccessNotice={() => setAccessNotice(null)}
         />
       )}
 
-      {step === "app" && session && (
-        <Dashboard session={session} onLogout={logout} toastError={toastError} toastOk={toastOk} />
+      {introDone && signedIn && ttlWarning && !renewal && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[9990] px-4 py-2 rounded-xl bg-amber-950/90 border border-amber-500/30 text-amber-100 text-sm flex items-center gap-3 shadow-2xl">
+          Your session expires at {new Date(session.expires_at).toLocaleTimeString()}.
+          <button onClick={() => setRenewal("expiring")} className="font-bold underline">Renew</button>
+          <button onClick={() => setTtlWarning(false)} className="text-amber-300/70 hover:text-white"><Icon name="x" size={14}/></button>
+        </div>
+      )}
+
+      {introDone && signedIn && renewal && (
+        <SessionModal
+          email={session?.email}
+          mode={renewal}
+          expiresAt={session?.expires_at}
+          onRecheck={recheckSession}
+          onLogout={logout}
+          onDismiss={() => { setRenewal(null); setTtlWarning(false); }}
+        />
       )}
 
       {toast && (
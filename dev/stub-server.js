@@ -0,0 +1,700 @@
+/* =========================
+StrategyThrust local stub backend (offline testing)
+
+  node dev/stub-server.js            -> http://localhost:8787
+  PORT=9000 node dev/stub-server.js
+  STUB_DROP_RATE=0.2 node ...        -> randomly drop 20% of chunk uploads (exercise resume)
+  STUB_SESSION_TTL=120 node ...      -> sessions expire after 2 minutes (exercise re-login)
+  STUB_TIER=none node ...            -> new accounts start without a subscription (exercise /plan checkout)
+  STUB_GEN_SECONDS=30 node ...       -> approved jobs take 30 seconds to generate (exercise progress + status feed)
+  STUB_GEN_FAIL_RATE=1 node ...      -> every generation fails partway (exercise error details + admin retry)
+
+Point config.js at it: API_BASE: "http://localhost:8787"
+Magic links are printed to the console instead of emailed. State is in memory only.
+========================= */
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT || 8787);
+const APP_BASE = (process.env.APP_BASE || "http://localhost:8080").replace(/\/+$/, "");
+const DROP_RATE = Number(process.env.STUB_DROP_RATE || 0);
+const ADMIN_EMAIL = (process.env.ADMIN_EMAIL || "admin@example.com").toLowerCase();
+const SESSION_TTL = Number(process.env.STUB_SESSION_TTL || 86400);
+const DEFAULT_TIER = process.env.STUB_TIER || "pro";
+const GEN_SECONDS = Number(process.env.STUB_GEN_SECONDS || 8);
+const GEN_FAIL_RATE = Number(process.env.STUB_GEN_FAIL_RATE || 0);
+
+const FILE_SETS = {
+  sector_report: { required: ["market_data"], optional: ["interviews", "other"] },
+  company_analysis: { required: ["financials"], optional: ["company_docs", "other"] },
+  strategic_master_plan: { required: ["financials", "strategy_docs"], optional: ["market_data", "other"] },
+};
+
+// statuses in which the owner may still change files and (re)submit, as in the app
+const EDITABLE_STATUSES = ["draft", "changes_requested"];
+
+const JOB_TYPES = [
+  { id: "sector_report", label: "Sector Report", description: "Market size, trends, competitive landscape and outlook for a sector in a region." },
+  { id: "company_analysis", label: "Company Analysis", description: "Deep dive on one company: business model, financials, positioning and options." },
+  { id: "strategic_master_plan", label: "Strategic Master Plan", description: "Multi-year strategy with initiatives, roadmap and financial targets.", requires: { feature: "strategic_master_plan" } },
+];
+
+const state = {
+  magic: new Map(),    // magic token -> email
+  sessions: new Map(), // session token -> { email, expires }
+  jobs: new Map(),     // job_id -> job
+  uploads: new Map(),  // upload_id -> { job_id, file_set, filename, size, chunk_size, parts: Map(n -> { sha256, size }) }
+  subs: new Map(),     // email -> { tier, addons: [id], renews_at }
+  usage: new Map(),    // email -> { reports, chat_messages } used this period
+};
+
+// per-period limits; null = unlimited
+const QUOTAS = {
+  starter: { reports: 3, chat_messages: 200 },
+  pro: { reports: 10, chat_messages: 1000 },
+  enterprise: { reports: null, chat_messages: null },
+};
+
+const PLANS = [
+  { id: "starter", label: "Starter", price_label: "€490 / month", features: { app_access: true, advisor_chatbot: false, strategic_master_plan: false } },
+  { id: "pro", label: "Pro", price_label: "€1,200 / month", features: { app_access: true, advisor_chatbot: true, strategic_master_plan: false } },
+  { id: "enterprise", label: "Enterprise", price_label: "€3,500 / month", features: { app_access: true, advisor_chatbot: true, strategic_master_plan: true } },
+];
+const ADDONS = [
+  { id: "language_addon", label: "Language add-on", price_label: "€150 / month", description: "Deliverables in Turkish, Arabic, German, French or Spanish." },
+];
+
+const rid = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+
+const inAMonth = () => new Date(Date.now() + 30 * 86400 * 1000).toISOString();
+
+function subFor(email) {
+  if (!state.subs.has(email)) {
+    const admin = email === ADMIN_EMAIL;
+    const tier = admin ? "enterprise" : DEFAULT_TIER;
+    state.subs.set(email, { tier, addons: admin ? ["language_addon"] : [], renews_at: tier === "none" ? null : inAMonth() });
+  }
+  return state.subs.get(email);
+}
+
+function accessFor(email) {
+  const admin = email === ADMIN_EMAIL;
+  const sub = subFor(email);
+  const plan = PLANS.find((p) => p.id === sub.tier);
+  return {
+    tier: sub.tier,
+    features: {
+      app_access: !!plan,
+      tier: sub.tier,
+      language_addon: !!plan && sub.addons.includes("language_addon"),
+      strategic_master_plan: !!plan?.features.strategic_master_plan,
+      advisor_chatbot: !!plan?.features.advisor_chatbot,
+    },
+    subscription: { admin, status: plan ? "active" : "none", renews_at: sub.renews_at, addons: sub.addons },
+  };
+}
+
+function usageFor(email) {
+  if (!state.usage.has(email)) state.usage.set(email, { reports: 0, chat_messages: 0 });
+  return state.usage.get(email);
+}
+
+// plan and/or addons from a checkout or upgrade body; null when nothing valid was asked for
+function applyPurchase(email, { plan, addons }) {
+  const sub = subFor(email);
+  if (plan && !PLANS.some((p) => p.id === plan)) return null;
+  const extra = (addons || []).filter((a) => ADDONS.some((x) => x.id === a));
+  if (!plan && !extra.length) return null;
+  if (plan) sub.tier = plan;
+  sub.addons = [...new Set([...sub.addons, ...extra])];
+  sub.renews_at = inAMonth();
+  return sub;
+}
+
+/* ---------- stub report (.docx) ---------- */
+// a real Word file, so the in-browser preview has headings, a table and page breaks to show
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// uncompressed ("stored") zip; files: [[name, string]]
+function zipStored(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of files) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(text);
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+const xmlEscape = (s) => String(s).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function stubReportDocx(job, version = versionsOf(job).at(-1)) {
+  const label = JOB_TYPES.find((t) => t.id === job.job_type)?.label || job.job_type;
+  const para = (text, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ""}<w:r><w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r></w:p>`;
+  const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+  const cell = (text) => `<w:tc><w:tcPr><w:tcW w:w="4500" w:type="dxa"/></w:tcPr>${para(text)}</w:tc>`;
+  const table = (rows) =>
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="9000" w:type="dxa"/><w:tblBorders>' +
+    ["top", "left", "bottom", "right", "insideH", "insideV"].map((b) => `<w:${b} w:val="single" w:sz="4" w:color="999999"/>`).join("") +
+    "</w:tblBorders></w:tblPr>" + rows.map((r) => `<w:tr>${r.map(cell).join("")}</w:tr>`).join("") + "</w:tbl>";
+
+  const inputs = Object.entries(job.inputs || {});
+  const body = [
+    para(`${label}: ${job.id}`, "Title"),
+    para("Executive summary", "Heading1"),
+    para(`Stub report generated for ${job.email}. The sections below stand in for real analysis.`),
+    para("Inputs", "Heading2"),
+    inputs.length ? table([["Field", "Value"], ...inputs.map(([k, v]) => [k, typeof v === "string" ? v : JSON.stringify(v)])]) : para("No inputs."),
+    pageBreak,
+    para("Market overview", "Heading1"),
+    para("Sizing", "Heading2"),
+    table([["Segment", "Share"], ["Enterprise", "45%"], ["Mid-market", "35%"], ["SMB", "20%"]]),
+    para("Competitive landscape", "Heading2"),
+    para("Three incumbents hold most of the market; new entrants compete on price."),
+    pageBreak,
+    para("Recommendations", "Heading1"),
+    para("Focus on the mid-market segment and build partnerships in the first year."),
+    ...(version?.comments ? [para(`Revision notes (v${version.version})`, "Heading1"), para(version.comments)] : []),
+  ].join("");
+
+  const heading = (id, name, size) =>
+    `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="240" w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+  return zipStored([
+    ["[Content_Types].xml", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>'],
+    ["_rels/.rels", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'],
+    ["word/_rels/document.xml.rels", '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>'],
+    ["word/styles.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles ${W_NS}><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:sz w:val="22"/></w:rPr></w:style>${heading("Title", "Title", 48)}${heading("Heading1", "heading 1", 32)}${heading("Heading2", "heading 2", 26)}</w:styles>`],
+    ["word/document.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document ${W_NS}><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr></w:body></w:document>`],
+  ]);
+}
+
+/* ---------- admin review + simulated generation ---------- */
+const GEN_STAGES = ["queued", "reading inputs", "drafting sections", "building tables", "assembling document"];
+
+function logHistory(job, event, by, note = null) {
+  (job.history ||= []).push({ at: new Date().toISOString(), status: job.status, event, by, note });
+}
+
+// generating -> delivered over GEN_SECONDS, reporting stage + progress like the real worker; each delivery is a new version.
+// With STUB_GEN_FAIL_RATE a run can instead stop partway as failed, with generation.error set.
+function generate(job, comments = null) {
+  job.status = "generating";
+  job.generation = { stage: GEN_STAGES[0], progress: 0 };
+  job.pending_comments = comments; // kept so /admin/retry-generation re-runs the same revision
+  const fails = Math.random() < GEN_FAIL_RATE;
+  const started = Date.now();
+  const tick = setInterval(() => {
+    const progress = Math.min(1, (Date.now() - started) / (GEN_SECONDS * 1000));
+    const stage = GEN_STAGES[Math.min(GEN_STAGES.length - 1, Math.floor(progress * GEN_STAGES.length))];
+    job.updated_at = new Date().toISOString();
+    if (fails && progress >= 0.6) {
+      clearInterval(tick);
+      job.status = "failed";
+      job.generation = { stage, progress, error: `stub: simulated failure while ${stage}` };
+      logHistory(job, "generation failed", "generator", job.generation.error);
+      return;
+    }
+    job.generation = { stage, progress };
+    if (progress < 1) return;
+    clearInterval(tick);
+    const version = (job.versions?.length || 0) + 1;
+    job.versions = [...(job.versions || []), { version, created_at: job.updated_at, comments }];
+    job.status = "delivered";
+    job.generation = { stage: "done", progress: 1 };
+    job.pending_comments = null;
+    logHistory(job, `delivered v${version}`, "generator");
+  }, 500);
+}
+
+// one entry per delivery: [{ version, created_at, comments }]
+const versionsOf = (job) => job.versions || [];
+
+/* ---------- http plumbing ---------- */
+function send(req, res, status, body) {
+  res.writeHead(status, {
+    "content-type": "application/json",
+    "access-control-allow-origin": req.headers.origin || "*",
+    "access-control-allow-credentials": "true",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function readJson(req) {
+  const raw = await readBody(req);
+  try { return JSON.parse(raw.toString("utf8") || "{}"); } catch { return {}; }
+}
+
+// just enough multipart/form-data parsing for /uploads/put (fields + one file)
+function parseMultipart(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!m) return { fields: {}, file: null };
+  const boundary = Buffer.from(`--${m[1] || m[2]}`);
+  const fields = {};
+  let file = null;
+  let pos = buf.indexOf(boundary);
+  while (pos !== -1) {
+    const start = pos + boundary.length + 2; // skip CRLF
+    const next = buf.indexOf(boundary, start);
+    if (next === -1) break;
+    const part = buf.subarray(start, next - 2); // strip trailing CRLF
+    const headEnd = part.indexOf("\r\n\r\n");
+    if (headEnd !== -1) {
+      const head = part.subarray(0, headEnd).toString("utf8");
+      const data = part.subarray(headEnd + 4);
+      const name = /name="([^"]*)"/i.exec(head)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(head)?.[1];
+      if (filename !== undefined) file = { filename, size: data.length };
+      else if (name) fields[name] = data.toString("utf8");
+    }
+    pos = next;
+  }
+  return { fields, file };
+}
+
+function authEmail(req) {
+  const h = req.headers.authorization || "";
+  const t = h.startsWith("Bearer ") ? h.slice(7) : null;
+  const s = t ? state.sessions.get(t) : null;
+  if (!s) return null;
+  if (s.expires < Date.now()) {
+    state.sessions.delete(t);
+    return null;
+  }
+  return s.email;
+}
+
+function ownJob(email, job_id) {
+  const job = state.jobs.get(job_id);
+  if (!job) return { error: [404, "job not found"] };
+  if (job.email !== email && email !== ADMIN_EMAIL) return { error: [403, "forbidden"] };
+  return { job };
+}
+
+// an in-progress chunked upload, on a job the caller owns and may still change
+function ownUpload(email, upload_id) {
+  const up = state.uploads.get(upload_id || "");
+  if (!up) return { error: [404, "unknown upload_id"] };
+  const { job, error } = ownJob(email, up.job_id);
+  if (error) return { error };
+  if (!EDITABLE_STATUSES.includes(job.status)) return { error: [409, `job is ${job.status}`] };
+  return { up, job };
+}
+
+function missingSets(job) {
+  const present = new Set(job.files.map((f) => f.file_set));
+  return job.required.filter((s) => !present.has(s));
+}
+
+function addFile(job, file_set, filename, size) {
+  const entry = { file_set, filename, size, key: `jobs/${job.id}/${rid("f")}`, uploaded_at: new Date().toISOString() };
+  job.files.push(entry);
+  return entry;
+}
+
+/* ---------- routes ---------- */
+const routes = {
+  "GET /health": async (req, res) => send(req, res, 200, { ok: true, stub: true }),
+
+  "POST /auth/request-link": async (req, res) => {
+    const email = String((await readJson(req)).data?.email || "").trim().toLowerCase();
+    if (!email.includes("@")) return send(req, res, 400, { error: "invalid email" });
+    const token = rid("magic");
+    state.magic.set(token, email);
+    console.log(`[stub] magic link for ${email}: ${APP_BASE}/auth/verify?token=${token}`);
+    send(req, res, 200, { ok: true, email, ttl_seconds: 1800 });
+  },
+
+  "GET /auth/verify": async (req, res, url) => {
+    const email = state.magic.get(url.searchParams.get("token") || "");
+    if (!email) return send(req, res, 401, { error: "invalid or expired token" });
+    const session_token = rid("sess");
+    state.sessions.set(session_token, { email, expires: Date.now() + SESSION_TTL * 1000 });
+    send(req, res, 200, { ok: true, email, access: accessFor(email), app_url: APP_BASE, session_token, session_ttl_seconds: SESSION_TTL });
+  },
+
+  "GET /access": async (req, res, url, email) => send(req, res, 200, accessFor(email)),
+
+  "GET /usage": async (req, res, url, email) => {
+    const sub = subFor(email);
+    const limits = QUOTAS[sub.tier] || { reports: 0, chat_messages: 0 };
+    const used = usageFor(email);
+    send(req, res, 200, {
+      ok: true,
+      period_end: sub.renews_at,
+      quotas: Object.fromEntries(Object.keys(used).map((k) => [k, { used: used[k], limit: limits[k] }])),
+    });
+  },
+
+  "GET /billing/plans": async (req, res) => send(req, res, 200, { ok: true, plans: PLANS, addons: ADDONS }),
+
+  // a real backend returns the payment provider's hosted page; the stub "pays" at once and sends the user straight back
+  "POST /billing/checkout": async (req, res, url, email) => {
+    const { plan, addons, return_url } = (await readJson(req)).data || {};
+    if (!applyPurchase(email, { plan, addons })) return send(req, res, 400, { error: "unknown plan or add-on" });
+    const back = new URL(return_url || `${APP_BASE}/plan`);
+    back.searchParams.set("checkout", "success");
+    send(req, res, 200, { ok: true, url: back.toString() });
+  },
+
+  // existing subscribers change plan in place
+  "POST /billing/upgrade": async (req, res, url, email) => {
+    if (subFor(email).tier === "none") return send(req, res, 409, { error: "no active subscription: use checkout" });
+    if (!applyPurchase(email, (await readJson(req)).data || {})) return send(req, res, 400, { error: "unknown plan or add-on" });
+    send(req, res, 200, { ok: true, access: accessFor(email) });
+  },
+
+  // no input_schema: the app falls back to its built-in schema per type id
+  "GET /jobs/types": async (req, res) =>
+    send(req, res, 200, { ok: true, types: JOB_TYPES.map((t) => ({ ...t, file_sets: FILE_SETS[t.id] })) }),
+
+  "POST /uploads/init": async (req, res, url, email) => {
+    const { job_type, inputs } = (await readJson(req)).data || {};
+    const sets = FILE_SETS[job_type];
+    if (!sets) return send(req, res, 400, { error: `unknown job_type: ${job_type}` });
+    const job = { id: rid("job"), email, job_type, inputs: inputs || {}, status: "draft", created_at: new Date().toISOString(), ...sets, files: [] };
+    state.jobs.set(job.id, job);
+    send(req, res, 200, { ok: true, job_id: job.id, ...sets, warnings: [] });
+  },
+
+  "POST /uploads/put": async (req, res, url, email) => {
+    const { fields, file } = parseMultipart(await readBody(req), req.headers["content-type"]);
+    const { job, error } = ownJob(email, fields.job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (!EDITABLE_STATUSES.includes(job.status)) return send(req, res, 409, { error: `job is ${job.status}` });
+    if (!file) return send(req, res, 400, { error: "missing file" });
+    send(req, res, 200, { ok: true, file: addFile(job, fields.file_set, file.filename, file.size) });
+  },
+
+  "GET /uploads/list": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, url.searchParams.get("job_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    send(req, res, 200, { ok: true, status: job.status, files: job.files, required: job.required, optional: job.optional, missing_required_sets: missingSets(job) });
+  },
+
+  "POST /uploads/delete": async (req, res, url, email) => {
+    const d = (await readJson(req)).data || {};
+    const { job, error } = ownJob(email, d.job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (!EDITABLE_STATUSES.includes(job.status)) return send(req, res, 409, { error: `job is ${job.status}` });
+    const before = job.files.length;
+    job.files = job.files.filter((f) => f.key !== d.key);
+    if (job.files.length === before) return send(req, res, 404, { error: "file not found" });
+    send(req, res, 200, { ok: true, missing_required_sets: missingSets(job) });
+  },
+
+  "POST /uploads/update": async (req, res, url, email) => {
+    const d = (await readJson(req)).data || {};
+    const { job, error } = ownJob(email, d.job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (!EDITABLE_STATUSES.includes(job.status)) return send(req, res, 409, { error: `job is ${job.status}` });
+    const file = job.files.find((f) => f.key === d.key);
+    if (!file) return send(req, res, 404, { error: "file not found" });
+    if (d.file_set) file.file_set = d.file_set;
+    if (d.filename) file.filename = d.filename;
+    send(req, res, 200, { ok: true, file, missing_required_sets: missingSets(job) });
+  },
+
+  "POST /uploads/multipart/init": async (req, res, url, email) => {
+    const d = (await readJson(req)).data || {};
+    const { job, error } = ownJob(email, d.job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (!EDITABLE_STATUSES.includes(job.status)) return send(req, res, 409, { error: `job is ${job.status}` });
+
+    let up = d.upload_id && state.uploads.get(d.upload_id);
+    if (!up || up.job_id !== job.id || up.file_set !== d.file_set || up.size !== d.size) {
+      up = { id: rid("up"), job_id: job.id, file_set: d.file_set, filename: d.filename, size: d.size, chunk_size: d.chunk_size || 8 * 1024 * 1024, parts: new Map() };
+      state.uploads.set(up.id, up);
+    }
+    const parts = [...up.parts].map(([part_number, p]) => ({ part_number, sha256: p.sha256 }));
+    send(req, res, 200, { ok: true, upload_id: up.id, chunk_size: up.chunk_size, parts });
+  },
+
+  "POST /uploads/multipart/part": async (req, res, url, email) => {
+    const { up, error } = ownUpload(email, url.searchParams.get("upload_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    const body = await readBody(req);
+    if (DROP_RATE && Math.random() < DROP_RATE) return req.socket.destroy();
+
+    const sha256 = crypto.createHash("sha256").update(body).digest("hex");
+    if (sha256 !== req.headers["x-content-sha256"]) return send(req, res, 422, { error: "checksum_mismatch", sha256 });
+    const n = Number(url.searchParams.get("part_number"));
+    up.parts.set(n, { sha256, size: body.length });
+    send(req, res, 200, { ok: true, part_number: n, sha256 });
+  },
+
+  "POST /uploads/multipart/complete": async (req, res, url, email) => {
+    const d = (await readJson(req)).data || {};
+    const { up, job, error } = ownUpload(email, d.upload_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    const bad = (d.parts || []).find((p) => up.parts.get(p.part_number)?.sha256 !== p.sha256);
+    const total = [...up.parts.values()].reduce((acc, p) => acc + p.size, 0);
+    if (bad || total !== up.size) return send(req, res, 409, { error: "parts incomplete or mismatched" });
+    state.uploads.delete(up.id);
+    send(req, res, 200, { ok: true, file: addFile(job, up.file_set, up.filename, up.size) });
+  },
+
+  "POST /uploads/multipart/abort": async (req, res, url, email) => {
+    const { up, error } = ownUpload(email, (await readJson(req)).data?.upload_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    state.uploads.delete(up.id);
+    send(req, res, 200, { ok: true });
+  },
+
+  "POST /jobs/submit": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, (await readJson(req)).data?.job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (!EDITABLE_STATUSES.includes(job.status)) return send(req, res, 409, { error: `job is ${job.status}` });
+    if (missingSets(job).length) return send(req, res, 400, { error: `missing required sets: ${missingSets(job).join(", ")}` });
+    // only the first submission uses a report; resubmitting after "changes requested" is free
+    if (job.status === "draft") {
+      const used = usageFor(email);
+      const limit = QUOTAS[subFor(email).tier]?.reports;
+      if (limit !== null && used.reports >= (limit ?? 0)) return send(req, res, 402, { error: "report quota used up for this period" });
+      used.reports += 1;
+    }
+    job.status = "pending_review";
+    logHistory(job, "submitted", email);
+    send(req, res, 200, { ok: true, status: job.status });
+  },
+
+  "GET /jobs/status": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, url.searchParams.get("job_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    const { files, ...rest } = job;
+    send(req, res, 200, { ok: true, status: job.status, job: rest, files, missing_required_sets: missingSets(job) });
+  },
+
+  // pushes the status on connect and on every change; heartbeats keep proxies and the client's stall timer happy
+  "GET /jobs/events": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, url.searchParams.get("job_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    res.writeHead(200, {
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+      "access-control-allow-origin": req.headers.origin || "*",
+      "access-control-allow-credentials": "true",
+    });
+    let last = null;
+    const push = () => {
+      const { files, ...rest } = job;
+      const frame = JSON.stringify({ status: job.status, job: rest, files, missing_required_sets: missingSets(job) });
+      if (frame !== last) res.write(`event: status\ndata: ${frame}\n\n`);
+      last = frame;
+      if (["delivered", "failed", "rejected"].includes(job.status)) stop();
+    };
+    const watch = setInterval(push, 1000);
+    const beat = setInterval(() => res.write(": ping\n\n"), 15000);
+    const stop = () => { clearInterval(watch); clearInterval(beat); res.end(); };
+    req.on("close", stop);
+    push();
+  },
+
+  "GET /jobs/versions": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, url.searchParams.get("job_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    send(req, res, 200, { ok: true, versions: versionsOf(job) });
+  },
+
+  // regenerates like an approval does; the result is stored as the next version
+  "POST /jobs/revise": async (req, res, url, email) => {
+    const { job_id, comments } = (await readJson(req)).data || {};
+    const { job, error } = ownJob(email, job_id);
+    if (error) return send(req, res, error[0], { error: error[1] });
+    if (job.status !== "delivered") return send(req, res, 409, { error: `cannot revise a job in status ${job.status}` });
+    if (!String(comments || "").trim()) return send(req, res, 400, { error: "comments required" });
+    generate(job, String(comments).trim());
+    logHistory(job, "revision requested", email, String(comments).trim());
+    send(req, res, 200, { ok: true, status: job.status, version: versionsOf(job).length + 1 });
+  },
+
+  // bearer header only: there is no ?token= fallback
+  "GET /jobs/download": async (req, res, url, email) => {
+    const { job, error } = ownJob(email, url.searchParams.get("job_id"));
+    if (error) return send(req, res, error[0], { error: error[1] });
+    const versions = versionsOf(job);
+    if (!versions.length) return send(req, res, 404, { error: "report not generated yet" });
+    const wanted = url.searchParams.get("version");
+    const version = wanted ? versions.find((v) => String(v.version) === wanted) : versions.at(-1);
+    if (!version) return send(req, res, 404, { error: `no version ${wanted}` });
+    const body = stubReportDocx(job, version);
+    res.writeHead(200, {
+      "content-type": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "content-length": body.length,
+      "content-disposition": `attachment; filename="${job.id}-v${version.version}.docx"`,
+      "access-control-allow-origin": req.headers.origin || "*",
+      "access-control-allow-credentials": "true",
+      "access-control-expose-headers": "content-disposition, content-length",
+    });
+    res.end(body);
+  },
+
+  "GET /jobs/list": async (req, res, url, email) => {
+    const jobs = [...state.jobs.values()]
+      .filter((j) => j.email === email)
+      .map(({ id, job_type, status, created_at, inputs }) => ({ id, job_type, status, created_at, inputs }));
+    send(req, res, 200, { ok: true, jobs });
+  },
+
+  // admin review: ADMIN_EMAIL only
+  "GET /admin/jobs": async (req, res, url, email) => {
+    if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+    const q = url.searchParams;
+    const from = q.get("from");
+    const to = q.get("to");
+    const dir = q.get("order") === "asc" ? 1 : -1;
+    const key = q.get("sort") || "created_at";
+    const list = [...state.jobs.values()]
+      .filter((j) => !q.get("status") || j.status === q.get("status"))
+      .filter((j) => !q.get("job_type") || j.job_type === q.get("job_type"))
+      .filter((j) => !q.get("email") || j.email.includes(q.get("email").toLowerCase()))
+      .filter((j) => (!from || j.created_at >= from) && (!to || j.created_at.slice(0, 10) <= to))
+      .sort((a, b) => String(a[key] ?? "").localeCompare(String(b[key] ?? "")) * dir);
+    const page = Math.max(1, Number(q.get("page")) || 1);
+    const size = Math.max(1, Number(q.get("page_size")) || 25);
+    const jobs = list.slice((page - 1) * size, page * size).map(({ files, history, ...rest }) => rest);
+    send(req, res, 200, { ok: true, jobs, total: list.length, page, page_size: size });
+  },
+
+  "GET /admin/job": async (req, res, url, email) => {
+    if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+    const job = state.jobs.get(url.searchParams.get("job_id"));
+    if (!job) return send(req, res, 404, { error: "job not found" });
+    const { files, history, ...rest } = job;
+    send(req, res, 200, { ok: true, job: rest, files, history: history || [] });
+  },
+
+  // bearer header only, like /jobs/download; uploads aren't kept, so this is a placeholder body
+  "GET /admin/file": async (req, res, url, email) => {
+    if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+    const job = state.jobs.get(url.searchParams.get("job_id"));
+    const file = job?.files.find((f) => f.key === url.searchParams.get("key"));
+    if (!file) return send(req, res, 404, { error: "file not found" });
+    const body = Buffer.from(`StrategyThrust stub copy of ${file.filename} (${file.size} bytes uploaded)\n`);
+    res.writeHead(200, {
+      "content-type": "application/octet-stream",
+      "content-length": body.length,
+      "content-disposition": `attachment; filename="${file.filename.replace(/"/g, "")}"`,
+      "access-control-allow-origin": req.headers.origin || "*",
+      "access-control-allow-credentials": "true",
+      "access-control-expose-headers": "content-disposition, content-length",
+    });
+    res.end(body);
+  },
+
+  "POST /admin/approve": async (req, res, url, email) => {
+    if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+    const job = state.jobs.get((await readJson(req)).data?.job_id);
+    if (!job) return send(req, res, 404, { error: "job not found" });
+    if (job.status !== "pending_review") return send(req, res, 409, { error: `cannot approve a job in status ${job.status}` });
+    job.review = { decision: "approved", note: null, reviewer: email, at: new Date().toISOString() };
+    generate(job);
+    logHistory(job, "approved", email);
+    send(req, res, 200, { ok: true, status: job.status });
+  },
+
+  "POST /admin/retry-generation": async (req, res, url, email) => {
+    if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+    const job = state.jobs.get((await readJson(req)).data?.job_id);
+    if (!job) return send(req, res, 404, { error: "job not found" });
+    if (job.status !== "failed") return send(req, res, 409, { error: `cannot retry a job in status ${job.status}` });
+    generate(job, job.pending_comments);
+    logHistory(job, "generation retried", email);
+    send(req, res, 200, { ok: true, status: job.status });
+  },
+
+  "POST /admin/reject": async (req, res, url, email) => reviewDecision(req, res, email, "rejected"),
+  "POST /admin/request-changes": async (req, res, url, email) => reviewDecision(req, res, email, "changes_requested"),
+};
+
+async function reviewDecision(req, res, email, status) {
+  if (email !== ADMIN_EMAIL) return send(req, res, 403, { error: "admin only" });
+  const { job_id, reason } = (await readJson(req)).data || {};
+  const job = state.jobs.get(job_id);
+  if (!job) return send(req, res, 404, { error: "job not found" });
+  if (job.status !== "pending_review") return send(req, res, 409, { error: `cannot review a job in status ${job.status}` });
+  if (!String(reason || "").trim()) return send(req, res, 400, { error: "reason required" });
+  job.status = status;
+  job.review = { decision: status, note: String(reason).trim(), reviewer: email, at: new Date().toISOString() };
+  logHistory(job, status === "rejected" ? "rejected" : "changes requested", email, job.review.note);
+  send(req, res, 200, { ok: true, status });
+}
+
+const PUBLIC = new Set(["GET /health", "POST /auth/request-link", "GET /auth/verify"]);
+
+http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "access-control-allow-origin": req.headers.origin || "*",
+      "access-control-allow-credentials": "true",
+      "access-control-allow-methods": "GET, POST, PUT, DELETE, OPTIONS",
+      "access-control-allow-headers": "authorization, content-type, x-content-sha256",
+      "access-control-max-age": "600",
+    });
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const key = `${req.method} ${url.pathname}`;
+  const handler = routes[key];
+  if (!handler) return send(req, res, 404, { error: `no stub route: ${key}` });
+
+  const email = authEmail(req);
+  if (!PUBLIC.has(key) && !email) return send(req, res, 401, { error: "unauthorized" });
+
+  try {
+    await handler(req, res, url, email);
+  } catch (e) {
+    console.error(`[stub] ${key} failed`, e);
+    if (!res.headersSent) send(req, res, 500, { error: String(e?.message || e) });
+  }
+}).listen(PORT, () => {
+  console.log(`[stub] StrategyThrust stub backend on http://localhost:${PORT} (admin: ${ADMIN_EMAIL})`);
+});